@@ -46,12 +46,14 @@ const App = class extends EventHandler {
 	/**
 	@param {Object} [options]
 	@param {Component} [options.textInputComponent=null]
+	@param {Object} [options.routerOptions={}] passed to the {@link Router} constructor, for example { mode: Router.HISTORY_MODE }
 	*/
 	constructor(options) {
 		super()
 		this._options = Object.assign(
 			{
-				textInputComponent: null
+				textInputComponent: null,
+				routerOptions: {}
 			},
 			options
 		)
@@ -80,7 +82,7 @@ const App = class extends EventHandler {
 		}, Stylist.LINKS_LOADED_EVENT)
 		this._stylist.loadLinks()
 
-		this._router = new Router()
+		this._router = new Router(this._options.routerOptions)
 		this._assetLoader = AssetLoader.Singleton
 		this._displayModeTracker = DisplayModeTracker.Singleton
 
@@ -210,6 +212,10 @@ const App = class extends EventHandler {
 			.appendTo(this._dom)
 		this._portalDOM.setAttribute('data-name', 'PortalRoot')
 
+		/** In history mode the Router routes anchor clicks in the DOM roots instead of loading a new page */
+		this._router.interceptLinks(this._flatDOM)
+		this._router.interceptLinks(this._portalDOM)
+
 		/** Portal display mode 3D scene */
 		this._portalScene = som.scene()
 		this._portalScene.addClass('portal-scene', 'app', 'spatial-app')
@@ -308,6 +314,17 @@ const App = class extends EventHandler {
 			}
 		}, App.DisplayModeChangedEvent)
 
+		// Keep the display mode in the URL so that deep links return to it
+		this.addListener((eventName, mode) => {
+			this._router.writeDisplayMode(mode === App.FLAT ? null : mode)
+		}, App.DisplayModeChangedEvent)
+
+		// When routing starts, switch to the display mode requested in the URL
+		this._router.addListener(this._handleRouterStarted.bind(this), Router.StartedRoutingEvent)
+
+		// Restore scroll offsets, SOM root transforms, and focus on back and forward navigation
+		this._addRouterStateKeepers()
+
 		this._updateClasses()
 		window.requestAnimationFrame(this._handleWindowAnimationFrame)
 
@@ -557,6 +574,110 @@ const App = class extends EventHandler {
 		}
 	}
 
+	/**
+	Called when the Router starts so that a display mode in the URL is honored
+	Falls back to flat display mode if the requested mode is unknown or the DisplayModeTracker says that it is not possible
+	*/
+	_handleRouterStarted() {
+		const requestedMode = this._router.requestedDisplayMode
+		if (requestedMode === null || requestedMode === this._displayMode) return
+		if (requestedMode === App.FLAT || App.DISPLAY_MODES.includes(requestedMode) === false) {
+			this._router.writeDisplayMode(null)
+			return
+		}
+		const switchDisplayMode = () => {
+			const capable =
+				requestedMode === App.PORTAL
+					? this._displayModeTracker.portalCapable
+					: this._displayModeTracker.immersiveCapable
+			if (capable === false) {
+				this._router.writeDisplayMode(null)
+				return
+			}
+			this.setDisplayMode(requestedMode).catch(err => {
+				this._router.writeDisplayMode(null)
+			})
+		}
+		// The tracker's capabilities are null until the engines have chosen their displays
+		if (this._displayModeTracker.flatCapable === null) {
+			this._displayModeTracker.addListener(switchDisplayMode, DisplayModeTracker.DisplayUpdatedEvent, true)
+		} else {
+			switchDisplayMode()
+		}
+	}
+
+	/**
+	Add Router state keepers that save and restore flat scroll offsets, the portal and immersive SOM root transforms, and the focused Component
+	*/
+	_addRouterStateKeepers() {
+		// The Router keeps the saved offsets in sessionStorage, so it restores scroll after reloads as well as on back and forward
+		if ('scrollRestoration' in window.history) {
+			window.history.scrollRestoration = 'manual'
+		}
+		this._router.addStateKeeper(
+			'flat-scroll',
+			() => {
+				return {
+					window: [window.scrollX, window.scrollY],
+					flatDOM: [this._flatDOM.scrollLeft, this._flatDOM.scrollTop]
+				}
+			},
+			data => {
+				window.scrollTo(...data.window)
+				this._flatDOM.scrollLeft = data.flatDOM[0]
+				this._flatDOM.scrollTop = data.flatDOM[1]
+			}
+		)
+		for (const [name, somRoot] of [['portal-som', this._portalSOM], ['immersive-som', this._immersiveSOM]]) {
+			this._router.addStateKeeper(
+				name,
+				() => {
+					return {
+						position: somRoot.position.toArray(),
+						quaternion: somRoot.quaternion.toArray(),
+						scale: somRoot.scale.toArray()
+					}
+				},
+				data => {
+					somRoot.position.fromArray(data.position)
+					somRoot.quaternion.fromArray(data.quaternion)
+					somRoot.scale.fromArray(data.scale)
+				}
+			)
+		}
+		this._router.addStateKeeper(
+			'focus',
+			() => {
+				if (Component.TextInputFocus === null) return null
+				return Component.TextInputFocus.flatDOM.getAttribute('data-name')
+			},
+			name => {
+				if (name === null) {
+					if (Component.TextInputFocus !== null) Component.TextInputFocus.blur()
+					return
+				}
+				const component = this._findComponentByName(name)
+				if (component !== null) component.focus()
+			}
+		)
+	}
+
+	/**
+	@param {string} name set by Component.setName
+	@return {Component?} the first Component in the flat, portal, or immersive trees with that name
+	*/
+	_findComponentByName(name) {
+		for (const root of [this._flatDOM, this._portalDOM]) {
+			const element = root.querySelector(`[data-name="${name}"]`)
+			if (element !== null && element.component) return element.component
+		}
+		for (const root of [this._portalSOM, this._immersiveSOM]) {
+			const node = root.getObjectByName(name)
+			if (node && node.component) return node.component
+		}
+		return null
+	}
+
 	/** Called while showing the debug flat display */
 	_handleFlatDisplayTick() {
 		if (this._flatCamera === null || this._flatTransformation === null) return
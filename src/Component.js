@@ -448,6 +448,9 @@ const Component = class extends EventHandler {
 	}
 
 	/**
+	Set the text of target DOM or SOM to the value of dataModel.get(dataField) as it changes
+	dataField may be a stored field or one of the DataModel's computed fields
+
 	@param {string} dataField
 	@param {HTMLElement or Object3D} target
 	@param {function} formatter
@@ -471,6 +474,52 @@ const Component = class extends EventHandler {
 		this._binder.bindAttribute(dataField, target, attributeName, formatter, dataModel)
 	}
 
+	/**
+	Keep an input, textarea, or select and dataModel.get(dataField) in sync, in both directions
+	Checkboxes are bound to booleans, radios to the value of the checked radio, multiple selects to arrays, and number and range inputs to numbers
+	The target may also be a Component, or options.textInput may name one, whose Component.TextInputEvent edits the field, for immersive mode:
+
+		this.bindInput('title', this.titleDOM, { textInput: this })
+		this.bindInput('count', this.countDOM, { parse: value => parseInt(value, 10) || 0, debounce: 250 })
+
+	@param {string} dataField
+	@param {HTMLElement or Component} target
+	@param {Object} [options={}]
+	@param {function} [options.parse=null] receives the input's value and returns the field value
+	@param {function} [options.format=null] receives the field value and returns the input's value
+	@param {string} [options.event=null] the DOM event that updates the field, defaults to 'change' for checkboxes, radios, and selects and 'input' for the rest
+	@param {number} [options.debounce=0] milliseconds to wait after the last DOM event before the field is updated
+	@param {Component} [options.textInput=null] a Component whose text input edits the field
+	@param {DataModel} dataModel
+	*/
+	bindInput(dataField, target, options = {}, dataModel = this.dataObject) {
+		this._binder.bindInput(dataField, target, options, dataModel)
+	}
+
+	/**
+	Keep a child Component for each DataObject in a DataCollection (or DataCollectionView), in the collection's order
+	Children are keyed by DataObject, so they are created when DataObjects are added, reordered when the collection is sorted,
+	and removed and cleaned up when DataObjects are removed, across the flatDOM, portalDOM, portalSOM, and immersiveSOM
+
+		this.listComponent = new Component().appendTo(this)
+		this.bindCollection(this.dataObject, NoteComponent, {
+			parent: this.listComponent,
+			emptyComponent: new EmptyNotesComponent()
+		})
+
+	Children are appended to options.parent, which should hold only the children and the empty-state Component.
+
+	@param {DataCollection} collection
+	@param {class} ComponentClass constructed with a DataObject, options.componentOptions, and the inherited options of options.parent
+	@param {Object} [options={}]
+	@param {Component} [options.parent=this] the Component that holds the children
+	@param {Object} [options.componentOptions={}]
+	@param {Component} [options.emptyComponent=null] shown in options.parent when the collection is empty
+	*/
+	bindCollection(collection, ComponentClass, options = {}) {
+		this._binder.bindCollection(collection, ComponentClass, options)
+	}
+
 	/**
 	Updates classes based on activationAnchor and focus 
 	*/
@@ -549,8 +598,20 @@ const Binder = class {
 		this._component = component
 		this._boundCallbacks = [] // { callback, dataObject } to be unbound during cleanup
 		this._eventCallbacks = [] // { callback, eventName, target } to be unregistered during cleanup
+		this._timeouts = new Set() // debounce timeouts to be cleared during cleanup
+		this._childComponents = [] // Maps of DataObject -> Component created by bindCollection, to be cleaned up during cleanup
 	}
 	cleanup() {
+		for (const children of this._childComponents) {
+			for (const child of children.values()) {
+				child.cleanup()
+			}
+			children.clear()
+		}
+		for (const timeout of this._timeouts) {
+			clearTimeout(timeout)
+		}
+		this._timeouts.clear()
 		for (const bindInfo of this._boundCallbacks) {
 			bindInfo.dataObject.removeListener(bindInfo.callback)
 		}
@@ -656,6 +717,252 @@ const Binder = class {
 			dataObject: dataModel
 		})
 	}
+
+	/**
+	@param {string} dataField
+	@param {HTMLElement or Component} target
+	@param {Object} [options={}] see {@link Component.bindInput}
+	@param {DataModel} dataModel
+	*/
+	bindInput(dataField, target, options = {}, dataModel = this._component.dataObject) {
+		options = Object.assign(
+			{
+				parse: null,
+				format: null,
+				event: null,
+				debounce: 0,
+				textInput: target instanceof Component ? target : null
+			},
+			options
+		)
+		const element = target instanceof Component ? null : target
+		const inputType = element === null ? 'text' : _inputTypeOf(element)
+		const parse = options.parse || (value => value)
+		const format = options.format || (value => value)
+
+		// Model to view
+		const callback = () => {
+			if (element === null) return
+			_writeInput(element, inputType, format(dataModel.get(dataField)))
+		}
+		dataModel.addListener(callback, `changed:${dataField}`)
+		callback()
+		this._boundCallbacks.push({
+			callback: callback,
+			dataObject: dataModel
+		})
+
+		// View to model
+		if (element !== null) {
+			let timeout = null
+			const update = () => {
+				if (inputType === 'radio' && element.checked === false) return // the checked radio sets the field
+				dataModel.set(dataField, parse(_readInput(element, inputType)))
+			}
+			const eventName =
+				options.event || (['checkbox', 'radio', 'select', 'select-multiple'].includes(inputType) ? 'change' : 'input')
+			this.listenTo(eventName, element, () => {
+				if (options.debounce <= 0) {
+					update()
+					return
+				}
+				if (timeout !== null) {
+					clearTimeout(timeout)
+					this._timeouts.delete(timeout)
+				}
+				timeout = setTimeout(() => {
+					this._timeouts.delete(timeout)
+					timeout = null
+					update()
+				}, options.debounce)
+				this._timeouts.add(timeout)
+			})
+		}
+
+		// Spatial text input
+		if (options.textInput !== null) {
+			this.listenTo(Component.TextInputEvent, options.textInput, (eventName, commands) => {
+				const previousText = element === null ? format(dataModel.get(dataField)) : _readInput(element, 'text')
+				const text = _applyTextCommands(
+					previousText === null || typeof previousText === 'undefined' ? '' : '' + previousText,
+					commands
+				)
+				if (element === null) {
+					dataModel.set(dataField, parse(text))
+					return
+				}
+				_writeInput(element, 'text', text)
+				dataModel.set(dataField, parse(_readInput(element, inputType)))
+			})
+		}
+	}
+
+	/**
+	@param {DataCollection} collection
+	@param {class} ComponentClass
+	@param {Object} [options={}] see {@link Component.bindCollection}
+	*/
+	bindCollection(collection, ComponentClass, options = {}) {
+		options = Object.assign(
+			{
+				parent: this._component,
+				componentOptions: {},
+				emptyComponent: null
+			},
+			options
+		)
+		const parent = options.parent
+		const children = new Map() // DataObject -> Component
+		let showingEmpty = false
+
+		const update = () => {
+			const dataObjects = Array.from(collection)
+			const inCollection = new Set(dataObjects)
+			for (const [dataObject, child] of Array.from(children.entries())) {
+				if (inCollection.has(dataObject)) continue
+				parent.removeComponent(child)
+				child.cleanup()
+				children.delete(dataObject)
+			}
+			for (const dataObject of dataObjects) {
+				if (children.has(dataObject)) continue
+				const child = new ComponentClass(dataObject, options.componentOptions, parent.inheritedOptions)
+				children.set(dataObject, child)
+				parent.appendComponent(child)
+			}
+			_orderChildren(parent, dataObjects.map(dataObject => children.get(dataObject)))
+
+			if (options.emptyComponent !== null && showingEmpty !== (dataObjects.length === 0)) {
+				showingEmpty = dataObjects.length === 0
+				if (showingEmpty) {
+					parent.appendComponent(options.emptyComponent)
+				} else {
+					parent.removeComponent(options.emptyComponent)
+				}
+			}
+		}
+
+		const callback = (eventName, target) => {
+			if (target !== collection) return
+			switch (eventName) {
+				case 'added':
+				case 'removed':
+				case 'sorted':
+					if (collection.isResetting) return // update once, when the reset is done
+					update()
+					break
+				case 'reset':
+					update()
+					break
+			}
+		}
+		collection.addListener(callback)
+		update()
+		this._boundCallbacks.push({
+			callback: callback,
+			dataObject: collection
+		})
+		this._childComponents.push(children)
+	}
+}
+
+/**
+Put the DOM and SOM of the children in order, in each tree that the parent and children use
+@param {Component} parent
+@param {Component[]} children
+*/
+const _orderChildren = function(parent, children) {
+	const trees = [
+		['usesFlat', 'flatDOM', false],
+		['usesPortalOverlay', 'portalDOM', false],
+		['usesPortalSpatial', 'portalSOM', true],
+		['usesImmersive', 'immersiveSOM', true]
+	]
+	for (const [usesName, treeName, isSOM] of trees) {
+		if (parent.options[usesName] === false) continue
+		const nodes = children.filter(child => child[usesName]).map(child => child[treeName])
+		const nodeSet = new Set(nodes)
+		const currentOrder = Array.from(parent[treeName].children).filter(node => nodeSet.has(node))
+		if (currentOrder.every((node, index) => node === nodes[index])) continue
+		// Appending a node that is already a child moves it to the end
+		for (const node of nodes) {
+			if (isSOM) {
+				parent[treeName].add(node)
+			} else {
+				parent[treeName].appendChild(node)
+			}
+		}
+	}
+}
+
+/** @return {string} 'checkbox', 'radio', 'number', 'select', 'select-multiple', or 'text' */
+const _inputTypeOf = function(element) {
+	const tagName = element.tagName.toLowerCase()
+	if (tagName === 'select') return element.multiple ? 'select-multiple' : 'select'
+	if (tagName !== 'input') return 'text'
+	const type = (element.getAttribute('type') || 'text').toLowerCase()
+	if (type === 'checkbox' || type === 'radio') return type
+	if (type === 'number' || type === 'range') return 'number'
+	return 'text'
+}
+
+const _readInput = function(element, inputType) {
+	switch (inputType) {
+		case 'checkbox':
+			return element.checked
+		case 'radio':
+			return element.value
+		case 'number':
+			return element.value === '' ? null : Number(element.value)
+		case 'select-multiple':
+			return Array.from(element.options)
+				.filter(option => option.selected)
+				.map(option => option.value)
+		default:
+			return element.value
+	}
+}
+
+const _writeInput = function(element, inputType, value) {
+	switch (inputType) {
+		case 'checkbox':
+			element.checked = value === true
+			break
+		case 'radio':
+			element.checked = value !== null && typeof value !== 'undefined' && '' + value === element.value
+			break
+		case 'select-multiple': {
+			const values = Array.isArray(value) ? value.map(item => '' + item) : []
+			for (const option of Array.from(element.options)) {
+				option.selected = values.includes(option.value)
+			}
+			break
+		}
+		default: {
+			const text = value === null || typeof value === 'undefined' ? '' : '' + value
+			// Leave the input alone if it already shows the value so that its cursor does not jump
+			if (element.value !== text) element.value = text
+		}
+	}
+}
+
+/**
+Apply text input commands, like those of Component.TextInputEvent, to text
+Single characters are appended, 'Backspace' removes the last character, and other commands are ignored
+@param {string} text
+@param {string|string[]} commands
+@return {string}
+*/
+const _applyTextCommands = function(text, commands) {
+	for (const command of Array.isArray(commands) ? commands : [commands]) {
+		if (typeof command !== 'string') continue
+		if (command === 'Backspace') {
+			text = text.substring(0, text.length - 1)
+		} else if (command.length === 1) {
+			text += command
+		}
+	}
+	return text
 }
 
 export default Component
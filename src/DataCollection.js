@@ -3,16 +3,44 @@ import DataModel from './DataModel.js'
 
 /**
 	DataCollection represents an ordered list of DataModel instances
+
+	A collection whose endpoint returns the list one page at a time can set options.pagination:
+
+		const posts = new PostsCollection([], { pagination: 'cursor', pageSize: 50 })
+		posts.fetch() // resets the collection to the first page
+		posts.fetchNextPage() // appends the next page, if posts.hasMore
+
+	Page and offset pagination add `page` and `pageSize` or `offset` and `limit` to the query.
+	Cursor pagination adds `cursor` (once the server has returned one) and `limit` to the query.
+	Extending classes can override `pageQuery` and `pageURL` to change the query, and `parsePage` to read other responses.
+
+	By default the response may be an array of items or an envelope like { items, totalCount, nextCursor, hasMore }.
+	The X-Total-Count and X-Next-Cursor response headers are also read.
+	Each page triggers a 'page-fetched' event with the collection and the DataObjects that the page added.
 */
 const DataCollection = class extends DataObject {
 	/**
 	@param {Object[]} [data=null]
 	@param {Object} [options={}]
 	@param {class} [options.dataObject] the DataObject extending class to use to wrap each data item in this collection
+	@param {bool} [options.optimisticCreates=false] if true then `create` adds a pending DataObject before the server responds
+	@param {string} [options.pagination=null] null for unpaginated endpoints, or 'page', 'offset', or 'cursor'
+	@param {number} [options.pageSize=20] the number of items to request in each page
 	*/
 	constructor(data = [], options = {}) {
-		super(options)
+		super(
+			Object.assign(
+				{
+					pagination: null,
+					pageSize: 20
+				},
+				options
+			)
+		)
 		if (data == null) data = []
+		this._pageGeneration = 0 // incremented when the pagination restarts so that responses for old pages are ignored
+		this._pageFetch = null // the Promise for the page that is being fetched
+		this._resetPagination()
 		this._inReset = false
 		this._inAddBatch = false
 		this._boundRelayListener = this._relayListener.bind(this)
@@ -34,30 +62,81 @@ const DataCollection = class extends DataObject {
 		}
 		return this.dataObjects[index]
 	}
+	/**
+	Creates a child instance and POSTs it to the collection
+
+	If the create is optimistic then a DataObject is added immediately and its `isPending` is true until the server responds.
+	When the server responds the DataObject is reset to the response data and triggers 'saved'.
+	If the create fails then the DataObject is removed and the collection triggers a 'rollback' event with the DataObject and the error.
+
+	@param {Object} data
+	@param {Object} [options={}] fetch options
+	@param {bool} [options.optimistic=this.options.optimisticCreates]
+	@return {Promise<DataObject>}
+	*/
 	create(data, options = {}) {
-		// Creates an child instance and POSTs it to the collection
 		return new Promise(
 			function(resolve, reject) {
-				const fetchOptions = Object.assign(options, this.fetchOptions)
+				const fetchOptions = Object.assign({}, options, this.fetchOptions)
+				delete fetchOptions.optimistic
+				const optimistic =
+					(typeof options.optimistic === 'boolean' ? options.optimistic : this.options.optimisticCreates) === true
 				fetchOptions.method = 'post'
 				fetchOptions.body = JSON.stringify(data)
-				this._innerFetch(this.url, fetchOptions)
-					.then(response => {
-						if (response.status != 200) {
-							throw 'Create failed with status ' + response.status
+				const request = this.prepareRequest('create', this.url, fetchOptions, data)
+
+				let pendingObject = null
+				if (optimistic) {
+					pendingObject = this.generateDataObject(data)
+					pendingObject._pending = true
+					this.add(pendingObject)
+				}
+
+				this._request(request.url, request.fetchOptions)
+					.then(response => this._readResponse(response, 'Create').then(data => this._followLocation(response, data)))
+					.then(responseData => {
+						if (responseData !== null) responseData = this.parseCreated(responseData)
+						if (pendingObject === null) {
+							// Without response data, the created DataObject holds the posted data
+							const dataObject = this.generateDataObject(responseData === null ? data : responseData)
+							this.add(dataObject)
+							resolve(dataObject)
+							return
+						}
+						pendingObject._pending = false
+						if (responseData !== null) {
+							pendingObject.reset(pendingObject.parse(responseData))
 						}
-						return response.json()
+						pendingObject.resetChangeTracking()
+						pendingObject.trigger('saved', pendingObject, pendingObject.data, null, null)
+						resolve(pendingObject)
 					})
-					.then(data => {
-						const dataObject = this.generateDataObject(data)
-						this.add(dataObject)
-						resolve(dataObject)
+					.catch(err => {
+						if (pendingObject !== null) {
+							pendingObject._pending = false
+							// Pending DataObjects may not have ids yet, so remove this one by identity instead of by equals
+							const index = this.dataObjects.indexOf(pendingObject)
+							if (index !== -1) this._removeAt(index, pendingObject)
+							this.trigger('rollback', this, pendingObject, err)
+						}
+						reject(err)
 					})
-					.catch(reject)
 			}.bind(this)
 		)
 	}
-	add(dataObject) {
+	/**
+	Extending classes can override this to parse the response data of `create` before it is used for the new DataObject
+	@param {*} data
+	@return {Object} the data for the new DataObject
+	*/
+	parseCreated(data) {
+		return data
+	}
+	/**
+	@param {DataObject|Object} dataObject a DataObject or the data used to generate one
+	@param {number} [index=null] where to insert the DataObject, or null to add it to the end
+	*/
+	add(dataObject, index = null) {
 		if (dataObject instanceof DataObject == false) {
 			dataObject = this.generateDataObject(dataObject)
 		}
@@ -65,11 +144,15 @@ const DataCollection = class extends DataObject {
 			// TODO stop using indexOf because equality doesn't work
 			return
 		}
-		this.dataObjects.push(dataObject)
+		if (index === null || index >= this.dataObjects.length) {
+			this.dataObjects.push(dataObject)
+		} else {
+			this.dataObjects.splice(Math.max(0, index), 0, dataObject)
+		}
 		dataObject.collection = this
-		this.trigger('added', this, dataObject)
+		this.trigger('added', this, dataObject, this.dataObjects.indexOf(dataObject))
 		if (this._comparator && this._inReset == false && this._inAddBatch == false) {
-			this.sort(this._comparator)
+			this._keepSorted(dataObject)
 		}
 		dataObject.addListener(this._boundRelayListener)
 	}
@@ -79,13 +162,18 @@ const DataCollection = class extends DataObject {
 	// Add an array of DataObjects to the end of the collection
 	addBatch(dataObjects) {
 		this._inAddBatch = true
-		for (let dataObject in dataObjects) {
+		let lastAdded = null
+		for (let dataObject of dataObjects) {
 			if (dataObject instanceof DataObject == false) {
 				dataObject = this.generateDataObject(dataObject)
 			}
 			this.add(dataObject)
+			lastAdded = dataObject
 		}
 		this._inAddBatch = false
+		if (this._comparator && this._inReset == false) {
+			this._keepSorted(lastAdded)
+		}
 	}
 	indexOf(dataObject) {
 		for (let i = 0; i < this.dataObjects.length; i++) {
@@ -108,12 +196,16 @@ const DataCollection = class extends DataObject {
 		if (index === -1) {
 			return
 		}
+		this._removeAt(index, dataObject)
+	}
+	_removeAt(index, dataObject) {
 		this.dataObjects[index].removeListener(this._boundRelayListener)
 		this.dataObjects.splice(index, 1)
 		dataObject.collection = null
-		this.trigger('removed', this, dataObject)
+		this.trigger('removed', this, dataObject, index)
 	}
 	reset(data) {
+		if (data === null || typeof data === 'undefined') data = []
 		this._inReset = true
 		for (const obj of this.dataObjects.slice()) {
 			this.remove(obj)
@@ -121,15 +213,40 @@ const DataCollection = class extends DataObject {
 		for (const datum of data) {
 			this.add(this.generateDataObject(datum))
 		}
-		this._inReset = false
 		if (this._comparator) {
-			this.sort(this._comparator)
+			this._keepSorted(null)
 		}
+		this._inReset = false
 		this.trigger('reset', this)
 	}
+	/**
+	The 'sorted' event includes the previous order of the DataObjects
+	When keepSortedByField sorts after an add or a change, the event also includes the DataObject that was added or changed
+	*/
 	sort(comparator = DataCollection.defaultComparator) {
+		const previousOrder = this.dataObjects.slice()
 		this.dataObjects.sort(comparator)
-		this.trigger('sorted', this)
+		this.trigger('sorted', this, previousOrder, null)
+	}
+	_keepSorted(cause) {
+		const previousOrder = this.dataObjects.slice()
+		this.dataObjects.sort(this._comparator)
+		this.trigger('sorted', this, previousOrder, cause)
+	}
+	/**
+	Put the DataObjects in a given order and trigger a 'sorted' event
+	@param {DataObject[]} dataObjects the DataObjects that are already in this collection, in the new order
+	*/
+	reorder(dataObjects) {
+		if (
+			dataObjects.length !== this.dataObjects.length ||
+			dataObjects.some(obj => this.dataObjects.includes(obj) === false)
+		) {
+			throw new Error('Reorder requires the DataObjects that are in the collection')
+		}
+		const previousOrder = this.dataObjects.slice()
+		this.dataObjects.splice(0, this.dataObjects.length, ...dataObjects)
+		this.trigger('sorted', this, previousOrder, null)
 	}
 	sortByAttribute(attributeName, comparator = DataCollection.defaultComparator) {
 		this.sort((obj1, obj2) => {
@@ -140,9 +257,9 @@ const DataCollection = class extends DataObject {
 		this._comparator = (obj1, obj2) => {
 			return comparator(obj1.get(dataField), obj2.get(dataField))
 		}
-		this.addListener(() => {
+		this.addListener((eventName, changedObject) => {
 			if (this._comparator && this._inReset == false && this._inAddBatch == false) {
-				this.sort(this._comparator)
+				this._keepSorted(changedObject)
 			}
 		}, 'changed:' + dataField)
 	}
@@ -154,6 +271,165 @@ const DataCollection = class extends DataObject {
 	get length() {
 		return this.dataObjects.length
 	}
+	/** @type {bool} true if options.pagination is set */
+	get isPaginated() {
+		return this.options.pagination !== null
+	}
+	/** @type {bool} true if a paginated collection may have more pages to fetch */
+	get hasMore() {
+		return this._hasMore
+	}
+	/** @type {number?} the number of items on the server, if the server reports it */
+	get totalCount() {
+		return this._totalCount
+	}
+	/**
+	Paginated collections reset to the first page, other collections fetch the whole list
+	@return {Promise<DataCollection>} this collection
+	*/
+	fetch() {
+		if (this.isPaginated === false) return super.fetch()
+		this._pageGeneration += 1
+		this._pageFetch = null
+		this._resetPagination()
+		return this._fetchPage(true).then(() => this)
+	}
+	/**
+	Fetch the next page and append its items to the collection
+	If a page is already being fetched then its Promise is returned
+	@return {Promise<DataObject[]>} the DataObjects added by the page
+	*/
+	fetchNextPage() {
+		if (this.isPaginated === false) {
+			return Promise.reject(new Error('fetchNextPage requires options.pagination'))
+		}
+		if (this._pageFetch !== null) return this._pageFetch
+		if (this._hasMore === false) return Promise.resolve([])
+		return this._fetchPage(this._pageCount === 0)
+	}
+	/**
+	Extending classes can override this to change the query parameters for the next page
+	@return {Object} a map of query parameter name to value
+	*/
+	pageQuery() {
+		switch (this.options.pagination) {
+			case 'page':
+				return { page: this._pageCount + 1, pageSize: this.options.pageSize }
+			case 'offset':
+				return { offset: this._fetchedCount, limit: this.options.pageSize }
+			case 'cursor':
+				if (this._nextCursor === null) return { limit: this.options.pageSize }
+				return { cursor: this._nextCursor, limit: this.options.pageSize }
+			default:
+				throw new Error(`Unknown pagination: ${this.options.pagination}`)
+		}
+	}
+	/**
+	Extending classes can override this to put the page query somewhere other than the query string of this.url
+	@param {Object} query the page query returned by `pageQuery`
+	@return {string} the URL for the page
+	*/
+	pageURL(query) {
+		const url = this.url
+		const queryString = Object.keys(query)
+			.filter(name => query[name] !== null && typeof query[name] !== 'undefined')
+			.map(name => `${encodeURIComponent(name)}=${encodeURIComponent(query[name])}`)
+			.join('&')
+		if (queryString === '') return url
+		return url + (url.indexOf('?') === -1 ? '?' : '&') + queryString
+	}
+	/**
+	Extending classes can override this to read pagination information from other envelopes or headers
+	The items are passed to `parse` after this returns.
+	@param {Object|Array} data the parsed JSON of the response
+	@param {Response} response
+	@return {Object} { items, totalCount, nextCursor, hasMore }, where all but items may be null
+	*/
+	parsePage(data, response) {
+		const totalCountHeader = parseInt(response.headers.get('X-Total-Count'), 10)
+		const page = {
+			items: data === null ? [] : data,
+			totalCount: isNaN(totalCountHeader) ? null : totalCountHeader,
+			nextCursor: response.headers.get('X-Next-Cursor'),
+			hasMore: null
+		}
+		if (data !== null && typeof data === 'object' && Array.isArray(data) === false) {
+			page.items = data.items || data.results || data.data || []
+			if (typeof data.totalCount === 'number') page.totalCount = data.totalCount
+			if (typeof data.nextCursor !== 'undefined') page.nextCursor = data.nextCursor
+			if (typeof data.hasMore === 'boolean') page.hasMore = data.hasMore
+		}
+		return page
+	}
+	_resetPagination() {
+		this._pageCount = 0
+		this._fetchedCount = 0
+		this._nextCursor = null
+		this._totalCount = null
+		this._hasMore = this.isPaginated
+	}
+	_fetchPage(isFirstPage) {
+		const generation = this._pageGeneration
+		const request = this.prepareRequest('fetch', this.pageURL(this.pageQuery()), this.fetchOptions)
+		this._pageFetch = this._request(request.url, request.fetchOptions, {
+			kind: this.options.cancelSupersededFetches ? 'fetch' : null,
+			onAttempt: attempt => {
+				this.trigger('fetching', this, attempt)
+			}
+		})
+			.then(response => this._readResponse(response, 'Fetch').then(data => this.parsePage(data, response)))
+			.then(page => {
+				if (generation !== this._pageGeneration) return [] // a later fetch restarted the pagination
+				this._pageFetch = null
+				const data = this.parse(page.items)
+				this._new = false
+				this._pageCount += 1
+				this._fetchedCount += data.length
+				if (page.totalCount !== null && typeof page.totalCount !== 'undefined') {
+					this._totalCount = page.totalCount
+				}
+				this._nextCursor = typeof page.nextCursor === 'undefined' ? null : page.nextCursor
+				if (typeof page.hasMore === 'boolean') {
+					this._hasMore = page.hasMore
+				} else if (this.options.pagination === 'cursor') {
+					this._hasMore = this._nextCursor !== null
+				} else if (this._totalCount !== null) {
+					this._hasMore = this._fetchedCount < this._totalCount
+				} else {
+					this._hasMore = data.length >= this.options.pageSize
+				}
+
+				let dataObjects
+				if (isFirstPage) {
+					this.reset(data)
+					this.resetChangeTracking()
+					dataObjects = this.dataObjects.slice()
+				} else {
+					dataObjects = data.map(datum => this.generateDataObject(datum))
+					this.addBatch(dataObjects)
+				}
+				this.trigger('page-fetched', this, dataObjects, null)
+				if (isFirstPage) {
+					this.trigger('fetched', this, data, null)
+				}
+				return dataObjects
+			})
+			.catch(err => {
+				if (generation !== this._pageGeneration) return []
+				this._pageFetch = null
+				this._new = false
+				this.trigger('page-fetched', this, null, err)
+				if (isFirstPage) {
+					this.trigger('fetched', this, null, err)
+				}
+				throw err
+			})
+		return this._pageFetch
+	}
+	/** @return {DataObject[]} so that JSON.stringify works on nested DataCollections */
+	toJSON() {
+		return this.dataObjects
+	}
 	generateDataObject(data) {
 		const options = { collection: this }
 		let dataObj
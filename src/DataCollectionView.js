@@ -0,0 +1,218 @@
+import DataObject from './DataObject.js'
+import DataCollection from './DataCollection.js'
+
+/**
+DataCollectionView is a live, read-only view of a source {@link DataCollection} that is filtered, sorted, and optionally grouped.
+
+	const openTasks = new DataCollectionView(tasks, {
+		filter: task => task.get('done') !== true,
+		comparator: (task1, task2) => task1.get('due') - task2.get('due'),
+		groupBy: 'project'
+	})
+	for (const task of openTasks) { ... }
+	openTasks.groups // Map of project to the tasks in that project, in view order
+
+The view stays in sync with the source's 'added', 'removed', 'sorted', 'reset', and 'changed' events.
+Like a DataCollection it is iterable, triggers 'added', 'removed', and 'sorted' events, and relays the events of the DataObjects that it holds, so Components can use it like a normal collection.
+When groupBy is set, a 'groups-changed' event is triggered with the view and its groups when the groups or their members change.
+
+Changes are made to the source collection, which still owns the DataObjects.
+*/
+const DataCollectionView = class extends DataObject {
+	/**
+	@param {DataCollection} source
+	@param {Object} [options={}]
+	@param {function} [options.filter=null] receives a DataObject and returns true if it is in the view
+	@param {function} [options.comparator=null] sorts the view, which is otherwise in the source's order
+	@param {string|function} [options.groupBy=null] a dataField or a function that receives a DataObject and returns its group
+	*/
+	constructor(source, options = {}) {
+		super(
+			Object.assign(
+				{
+					filter: null,
+					comparator: null,
+					groupBy: null
+				},
+				options
+			)
+		)
+		if (source instanceof DataCollection === false && source instanceof DataCollectionView === false) {
+			throw new Error('DataCollectionView requires a source DataCollection')
+		}
+		this._source = source
+		this.dataObjects = []
+		this._groups = new Map() // group -> DataObject[]
+		this._groupsSignature = '[]' // JSON of each group and the view indexes of its members
+
+		this._boundSourceListener = this._handleSourceEvent.bind(this)
+		this._source.addListener(this._boundSourceListener)
+		this._update()
+	}
+	cleanup() {
+		if (this.cleanedUp) return
+		super.cleanup()
+		this._source.removeListener(this._boundSourceListener)
+		this.dataObjects.length = 0
+		this._groups.clear()
+	}
+	/** @type {DataCollection} */
+	get source() {
+		return this._source
+	}
+	/** @type {bool} true until the source is fetched */
+	get isNew() {
+		return this._source.isNew
+	}
+	/** @type {Map} group -> DataObject[] in view order, empty unless options.groupBy is set */
+	get groups() {
+		return this._groups
+	}
+	/** @param {function} [filter=null] */
+	setFilter(filter = null) {
+		this.options.filter = filter
+		this._update()
+	}
+	/** @param {function} [comparator=null] */
+	setComparator(comparator = null) {
+		this.options.comparator = comparator
+		this._update()
+	}
+	/** @param {string|function} [groupBy=null] */
+	setGroupBy(groupBy = null) {
+		this.options.groupBy = groupBy
+		this._update()
+	}
+	/**
+	@param {DataObject} dataObject
+	@return {*} the group of the DataObject, or null if options.groupBy is not set
+	*/
+	groupOf(dataObject) {
+		if (this.options.groupBy === null) return null
+		if (typeof this.options.groupBy === 'function') return this.options.groupBy(dataObject)
+		return dataObject.get(this.options.groupBy)
+	}
+	at(index) {
+		if (index < 0 || index > this.dataObjects.length - 1) {
+			throw new Error(`Index out of range: ${index}`)
+		}
+		return this.dataObjects[index]
+	}
+	indexOf(dataObject) {
+		return this.dataObjects.indexOf(dataObject)
+	}
+	firstByField(dataField, value) {
+		for (const model of this) {
+			if (model.get(dataField) === value) {
+				return model
+			}
+		}
+		return null
+	}
+	*[Symbol.iterator]() {
+		for (const obj of this.dataObjects) {
+			yield obj
+		}
+	}
+	get length() {
+		return this.dataObjects.length
+	}
+	/** @return {DataObject[]} */
+	toJSON() {
+		return this.dataObjects
+	}
+	/** Fetching a view fetches its source */
+	fetch() {
+		return this._source.fetch()
+	}
+	reset(data) {
+		throw new Error('DataCollectionView is read-only, so reset its source instead')
+	}
+	_handleSourceEvent(eventName, target, ...params) {
+		if (target === this._source) {
+			switch (eventName) {
+				case 'added':
+				case 'removed':
+				case 'sorted':
+				case 'reset':
+					if (this._source.isResetting && eventName !== 'reset') return // update once, when the reset is done
+					this._update()
+					if (eventName === 'reset') this.trigger('reset', this)
+					break
+				case 'fetching':
+				case 'fetched':
+					this.trigger(eventName, this, ...params)
+					break
+			}
+			return
+		}
+		// Relay the events of the DataObjects in the view, like a DataCollection
+		if (this.dataObjects.includes(target)) {
+			this.trigger(eventName, target, ...params)
+		}
+		if (eventName === 'changed' && target instanceof DataObject && target.isResetting === false) {
+			this._update()
+		}
+	}
+	/** @return {DataObject[]} the DataObjects that should be in the view, in order */
+	_computeOrder() {
+		let order = this._source.dataObjects.slice()
+		if (typeof this.options.filter === 'function') {
+			order = order.filter(this.options.filter)
+		}
+		if (typeof this.options.comparator === 'function') {
+			// Break ties with the source order so that the view is stable
+			const sourceIndexes = new Map(this._source.dataObjects.map((obj, index) => [obj, index]))
+			order.sort((obj1, obj2) => {
+				return this.options.comparator(obj1, obj2) || sourceIndexes.get(obj1) - sourceIndexes.get(obj2)
+			})
+		}
+		return order
+	}
+	/** Change this.dataObjects to match the source and trigger the resulting events */
+	_update() {
+		const order = this._computeOrder()
+		const inOrder = new Set(order)
+		for (let i = this.dataObjects.length - 1; i >= 0; i--) {
+			const dataObject = this.dataObjects[i]
+			if (inOrder.has(dataObject)) continue
+			this.dataObjects.splice(i, 1)
+			this.trigger('removed', this, dataObject, i)
+		}
+		const inView = new Set(this.dataObjects)
+		for (let i = 0; i < order.length; i++) {
+			if (inView.has(order[i])) continue
+			const index = Math.min(i, this.dataObjects.length)
+			this.dataObjects.splice(index, 0, order[i])
+			this.trigger('added', this, order[i], index)
+		}
+		if (order.some((dataObject, index) => this.dataObjects[index] !== dataObject)) {
+			const previousOrder = this.dataObjects.slice()
+			this.dataObjects.splice(0, this.dataObjects.length, ...order)
+			this.trigger('sorted', this, previousOrder)
+		}
+		this._updateGroups()
+	}
+	_updateGroups() {
+		const groups = new Map()
+		if (this.options.groupBy !== null) {
+			for (const dataObject of this.dataObjects) {
+				const group = this.groupOf(dataObject)
+				if (groups.has(group) === false) groups.set(group, [])
+				groups.get(group).push(dataObject)
+			}
+		}
+		const signature = JSON.stringify(
+			Array.from(groups.entries()).map(([group, members]) => [
+				group,
+				members.map(member => this.dataObjects.indexOf(member))
+			])
+		)
+		this._groups = groups
+		if (signature === this._groupsSignature) return
+		this._groupsSignature = signature
+		this.trigger('groups-changed', this, this._groups)
+	}
+}
+
+export default DataCollectionView
@@ -0,0 +1,164 @@
+/*
+Errors that DataObjects pass to rejection handlers and to their 'fetched', 'saved', and 'deleted' events.
+
+	model.save().catch(err => {
+		if (err instanceof DataErrors.ValidationError) {
+			showFieldErrors(err.errors)
+		} else if (err instanceof DataErrors.HttpError && err.status === 409) {
+			showConflict(err.body)
+		} else if (err instanceof DataErrors.NetworkError) {
+			showOfflineNotice()
+		}
+	})
+*/
+
+/**
+The base class for every error in this module
+*/
+const DataError = class extends Error {
+	constructor(message) {
+		super(message)
+		this.name = 'DataError'
+	}
+}
+
+/**
+The server responded with a status that the request does not accept
+*/
+const HttpError = class extends DataError {
+	/**
+	@param {string} message
+	@param {Response} response
+	@param {*} [body=null] the response body, parsed as JSON if possible, otherwise text
+	*/
+	constructor(message, response, body = null) {
+		super(message)
+		this.name = 'HttpError'
+		this.status = response.status
+		this.statusText = response.statusText
+		this.headers = response.headers
+		this.url = response.url
+		this.body = body
+	}
+}
+
+/**
+The server could not be reached or the response could not be read
+*/
+const NetworkError = class extends DataError {
+	/**
+	@param {string} message
+	@param {*} [cause=null] the error thrown by fetch, if any
+	*/
+	constructor(message, cause = null) {
+		super(message)
+		this.name = 'NetworkError'
+		this.cause = cause
+	}
+}
+
+/**
+No response arrived before the DataObject's options.timeout
+*/
+const TimeoutError = class extends NetworkError {
+	constructor(message) {
+		super(message)
+		this.name = 'TimeoutError'
+	}
+}
+
+/**
+The request was cancelled, by `DataObject.cancel` or by a later fetch
+*/
+const CancelledError = class extends DataError {
+	constructor(message) {
+		super(message)
+		this.name = 'CancelledError'
+	}
+}
+
+/**
+The response was not valid JSON
+*/
+const ParseError = class extends DataError {
+	/**
+	@param {string} message
+	@param {string} text the response body
+	@param {*} [cause=null] the error thrown by JSON.parse
+	*/
+	constructor(message, text, cause = null) {
+		super(message)
+		this.name = 'ParseError'
+		this.text = text
+		this.cause = cause
+	}
+}
+
+/**
+The schema found invalid fields before a save, or the server responded with a 422 status
+*/
+const ValidationError = class extends DataError {
+	/**
+	@param {string} message
+	@param {Object} errors a map of dataField to error, like DataModel.errors
+	@param {Response} [response=null] the 422 response, if the server found the errors
+	@param {*} [body=null] the parsed response body
+	*/
+	constructor(message, errors, response = null, body = null) {
+		super(message)
+		this.name = 'ValidationError'
+		this.errors = errors
+		this.status = response ? response.status : null
+		this.headers = response ? response.headers : null
+		this.body = body
+	}
+}
+
+/**
+The GraphQL response included errors
+*/
+const GraphQLError = class extends DataError {
+	/**
+	@param {string} message
+	@param {Object[]} errors the errors of the GraphQL response, each with a message
+	@param {Object} [data=null] the data of the GraphQL response, which may be partial
+	*/
+	constructor(message, errors, data = null) {
+		super(message)
+		this.name = 'GraphQLError'
+		this.errors = errors
+		this.data = data
+	}
+}
+
+/**
+@param {string} message
+@param {Response} response
+@param {string} text the response body
+@return {HttpError|ValidationError} a ValidationError for 422 responses, otherwise an HttpError
+*/
+const errorForResponse = function(message, response, text) {
+	let body = text
+	try {
+		body = text === '' ? null : JSON.parse(text)
+	} catch (e) {
+		body = text
+	}
+	if (response.status === 422) {
+		const errors = body !== null && typeof body === 'object' && body.errors ? body.errors : body
+		return new ValidationError(message, errors, response, body)
+	}
+	return new HttpError(message, response, body)
+}
+
+export {
+	DataError,
+	HttpError,
+	NetworkError,
+	TimeoutError,
+	CancelledError,
+	ParseError,
+	ValidationError,
+	GraphQLError,
+	errorForResponse
+}
@@ -1,28 +1,115 @@
 import DataObject from './DataObject.js'
+import { ValidationError } from './DataErrors.js'
 
 /**
 	DataModel holds a map of string,value pairs, sometimes fetched from or sent to a back-end server.
 
 	It fires events when values are changed so that {Component}s and other logic can react.
+
+	Extending classes may declare a schema that is used to coerce fetched data and to validate values:
+
+		class PersonModel extends DataModel {
+			static get schema() {
+				return {
+					name: { type: 'string', required: true },
+					age: { type: 'integer', min: 0, default: 0 },
+					role: { type: 'string', enum: ['admin', 'member'] },
+					email: { type: 'string', regex: /^[^@]+@[^@]+$/ },
+					nickname: { validator: (value, model) => value !== model.get('name') || 'same-as-name' }
+				}
+			}
+		}
+
+	Types are 'string', 'number', 'integer', 'boolean', 'date', 'array', and 'object', and the constructor throws for other types.
+	For strings and arrays, min and max apply to the length.
+	A validator returns true when the value is valid, or false or an error string when it is not.
+
+	Errors are held in `model.errors` as a map of dataField to an error string like 'required', 'type', 'min', 'max', 'enum', 'regex', or the validator's error.
+	A 'validation-changed' event is triggered when the errors change.
+
+	DataModel tracks which fields have changed since it was created or last fetched or saved:
+
+		model.set('title', 'New title')
+		model.changedFields // ['title']
+		model.changes // { title: { previous: 'Old title', current: 'New title' } }
+		model.save({ patch: true }) // PATCHes { title: 'New title' }
+		model.revert() // or set the fields back to their fetched or saved values
+		model.save({ optimistic: true }) // if the save fails, roll back the changes and trigger a 'rollback' event
+
+	If the schema finds invalid fields then `save` rejects with a DataErrors.ValidationError without sending a request.
+	It still triggers 'saving' and then 'saved' with the error, so listeners see every save begin and end.
+
+	Extending classes may also declare computed fields that are derived from other fields:
+
+		class PersonModel extends DataModel {
+			static get computed() {
+				return {
+					fullName: {
+						dependsOn: ['first', 'last'],
+						compute: model => `${model.get('first', '')} ${model.get('last', '')}`.trim()
+					}
+				}
+			}
+		}
+
+	Computed fields are read with `get` and trigger `changed:fullName` events when a dependency changes their value, so they can be bound by Components just like stored fields.
+	They may depend on other computed fields that are declared before them.
+	They are not held in `data` so they are not saved, and values set for them are ignored.
 */
-export default class extends DataObject {
+const DataModel = class extends DataObject {
 	/**
 	@param {Object} [data={}]
 	@param {Object} [options={}]
-	@param {Object} [fieldDataObjects=null] a map of dataField (string) to DataObject (class), used to create sub-objects in this Model's data
+	@param {Object} [options.fieldDataObjects=null] a map of dataField (string) to DataObject (class), used to create sub-objects in this Model's data
+	@param {Object} [options.schema=this.constructor.schema] a map of dataField (string) to field specs, as described above
+	@param {Object} [options.computed=this.constructor.computed] a map of dataField (string) to { dependsOn, compute }, as described above
+	@param {bool} [options.rejectInvalid=false] if true then invalid values are not set, otherwise they are set and their errors are recorded
+	@param {bool} [options.patchSaves=false] if true then `save` PATCHes only the changed fields
+	@param {bool} [options.optimisticSaves=false] if true then a failed `save` rolls back the changes it was saving
 	*/
 	constructor(data = {}, options = {}) {
 		super(options)
 		if (typeof this.options.fieldDataObjects === 'undefined') {
 			this.options.fieldDataObjects = {}
 		}
+		if (typeof this.options.schema === 'undefined') {
+			this.options.schema = this.constructor.schema
+		}
+		if (this.options.schema) _checkSchemaTypes(this.options.schema)
+		if (typeof this.options.rejectInvalid === 'undefined') {
+			this.options.rejectInvalid = false
+		}
+		if (typeof this.options.computed === 'undefined' || this.options.computed === null) {
+			this.options.computed = this.constructor.computed || {}
+		}
 		this.data = {}
+		this._computedValues = new Map() // computed dataField -> the value as of the last change to its dependencies
+		this._errors = {} // dataField -> error string
 		this.collection = null // set or unset by a DataCollection that claims or releases the model
-		this.setBatch(data)
+		this._savedValues = new Map() // dataField -> { json, value } as of the last fetch or save
+		this.setBatch(Object.assign(this._schemaDefaults(), data))
+		this._updateComputedFields(null)
+		this.validate()
+		this.resetChangeTracking()
+	}
+	/**
+	Extending classes can override this to declare fields, as described above
+	@type {Object?}
+	*/
+	static get schema() {
+		return null
+	}
+	/**
+	Extending classes can override this to declare computed fields, as described above
+	@type {Object?}
+	*/
+	static get computed() {
+		return null
 	}
 	cleanup() {
 		super.cleanup()
 		this.data = null
+		this._computedValues = null
 	}
 	has(dataField) {
 		return typeof this.data[dataField] !== 'undefined'
@@ -32,6 +119,10 @@ export default class extends DataObject {
 	@return may be native types or, if mapped by options.fieldDataObjects, another DataObject
 	*/
 	get(dataField, defaultValue = null) {
+		if (this._computedValues.has(dataField)) {
+			const computedValue = this._computedValues.get(dataField)
+			return computedValue === null || typeof computedValue === 'undefined' ? defaultValue : computedValue
+		}
 		if (typeof this.data[dataField] === 'undefined' || this.data[dataField] === null || this.data[dataField] === '') {
 			return defaultValue
 		}
@@ -49,23 +140,236 @@ export default class extends DataObject {
 	/**
 	Set a group of values. The 'values' parameter should be an object that works in for(key in values) loops like a dictionary: {}
 	If a key is in options.fieldDataObjects then the value will be used to contruct a DataObject and that will be the saved value.
+	If the schema finds a value invalid then its error is recorded and, if options.rejectInvalid is true, the value is not set.
+	The 'changed' events include the previous values, with DataObject values copied as plain data.
+	Computed fields that depend on the changed values trigger their own 'changed:dataField' events but are not included in the 'changed' event.
 	*/
 	setBatch(values) {
 		const changes = {}
+		const previousValues = {}
 		let changed = false
+		let errorsChanged = false
 		for (const key in values) {
+			if (this.options.computed[key]) continue
+			if (this.options.schema && this.options.schema[key]) {
+				const error = this._validateField(key, values[key])
+				if (this._errors[key] !== error) {
+					errorsChanged = true
+					if (error === null) {
+						delete this._errors[key]
+					} else {
+						this._errors[key] = error
+					}
+				}
+				if (error !== null && this.options.rejectInvalid) continue
+			}
+			const previousValue =
+				this.data[key] instanceof DataObject ? JSON.parse(JSON.stringify(this.data[key])) : this.data[key]
 			const result = this._set(key, values[key])
 			if (result !== DataObject._NO_CHANGE) {
 				changed = true
 				changes[key] = result
-				this.trigger(`changed:${key}`, this, key, result)
+				previousValues[key] = typeof previousValue === 'undefined' ? null : previousValue
+				this.trigger(`changed:${key}`, this, key, result, previousValues[key])
 			}
 		}
 		if (changed) {
-			this.trigger('changed', this, changes)
+			this._updateComputedFields(Object.keys(changes))
+			this.trigger('changed', this, changes, previousValues)
+		}
+		if (errorsChanged) {
+			this.trigger('validation-changed', this, this.errors)
 		}
 		return changes
 	}
+	/** @type {Object} a map of dataField to error string for fields that the schema finds invalid */
+	get errors() {
+		return Object.assign({}, this._errors)
+	}
+	/** @type {bool} true if the schema finds no invalid fields */
+	get isValid() {
+		return Object.keys(this._errors).length === 0
+	}
+	/**
+	Check every field in the schema, including required fields that have never been set
+	@return {bool} true if the schema finds no invalid fields
+	*/
+	validate() {
+		if (!this.options.schema) return true
+		const errors = {}
+		for (const dataField in this.options.schema) {
+			const error = this._validateField(dataField, this.data[dataField])
+			if (error !== null) errors[dataField] = error
+		}
+		const errorsChanged = JSON.stringify(errors) !== JSON.stringify(this._errors)
+		this._errors = errors
+		if (errorsChanged) {
+			this.trigger('validation-changed', this, this.errors)
+		}
+		return this.isValid
+	}
+	/**
+	@type {Object} a map of dataField to { previous, current } for each field that changed since the last fetch or save
+	*/
+	get changes() {
+		const changes = {}
+		const dataFields = new Set([...Object.keys(this.data), ...this._savedValues.keys()])
+		for (const dataField of dataFields) {
+			const savedValue = this._savedValues.get(dataField)
+			if (_toJSON(this.data[dataField]) === (savedValue ? savedValue.json : 'null')) continue
+			changes[dataField] = {
+				previous: savedValue ? savedValue.value : null,
+				current: typeof this.data[dataField] === 'undefined' ? null : this.data[dataField]
+			}
+		}
+		return changes
+	}
+	/** @type {string[]} the fields that changed since the last fetch or save */
+	get changedFields() {
+		return Object.keys(this.changes)
+	}
+	/** @type {bool} true if any field changed since the last fetch or save */
+	get hasChanges() {
+		return this.changedFields.length > 0
+	}
+	/** Consider the current values to be unchanged, called after fetch and save */
+	resetChangeTracking() {
+		this._savedValues.clear()
+		for (const dataField in this.data) {
+			const json = _toJSON(this.data[dataField])
+			const value = this.data[dataField]
+			this._savedValues.set(dataField, {
+				json: json,
+				// Copy values that may be changed in place
+				value: value !== null && typeof value === 'object' && value instanceof Date === false ? JSON.parse(json) : value
+			})
+		}
+	}
+	/**
+	Set changed fields back to their values as of the last fetch or save
+	@return {Object} the changes, as returned by setBatch
+	*/
+	revert() {
+		const values = {}
+		for (const dataField of this.changedFields) {
+			const savedValue = this._savedValues.get(dataField)
+			if (typeof savedValue === 'undefined') {
+				values[dataField] = null
+			} else if (
+				savedValue.value !== null &&
+				typeof savedValue.value === 'object' &&
+				savedValue.value instanceof Date === false
+			) {
+				values[dataField] = JSON.parse(savedValue.json) // a copy, so the saved value is not changed in place
+			} else {
+				values[dataField] = savedValue.value
+			}
+		}
+		return this.setBatch(values)
+	}
+	/**
+	Rejects with a ValidationError if the schema finds invalid fields, otherwise saves as described in DataObject.save
+	*/
+	save(options = {}) {
+		if (this.options.schema && this.validate() === false) {
+			const err = new ValidationError('Save failed validation', this.errors)
+			const changes = this.changes
+			this.trigger('saving', this, changes)
+			this.trigger('saved', this, null, err, changes)
+			return Promise.reject(err)
+		}
+		return super.save(options)
+	}
+	/**
+	Restore the previous values of the changes from a failed optimistic save
+	Fields that were changed again while the save was pending keep their newer values
+	@param {Object?} changes a map of dataField to { previous, current }, as returned by `changes`
+	*/
+	rollbackChanges(changes) {
+		if (!changes) return
+		const values = {}
+		for (const dataField in changes) {
+			if (_toJSON(this.data[dataField]) !== _toJSON(changes[dataField].current)) continue
+			const previous = changes[dataField].previous
+			values[dataField] =
+				previous !== null && typeof previous === 'object' && previous instanceof Date === false
+					? JSON.parse(_toJSON(previous)) // a copy, so the saved value is not changed in place
+					: previous
+		}
+		this.setBatch(values)
+	}
+	/** @return {Object} the data, so that JSON.stringify works on nested DataModels */
+	toJSON() {
+		return this.data
+	}
+	/**
+	Coerces the values of schema fields to their declared types
+	Extending classes that override parse should call super.parse(data)
+	*/
+	parse(data) {
+		if (!this.options.schema || data === null || typeof data !== 'object') return data
+		const parsedData = Object.assign({}, data)
+		for (const dataField in this.options.schema) {
+			if (dataField in parsedData) {
+				parsedData[dataField] = DataModel.coerce(parsedData[dataField], this.options.schema[dataField].type)
+			}
+		}
+		return parsedData
+	}
+	/**
+	@return {string?} null if the value is valid for the dataField, otherwise an error string
+	*/
+	_validateField(dataField, value) {
+		const spec = this.options.schema ? this.options.schema[dataField] : null
+		if (!spec) return null
+		if (typeof value === 'undefined' || value === null || value === '') {
+			return spec.required ? 'required' : null
+		}
+		if (value instanceof DataObject === false) {
+			if (spec.type && _typeCheckers[spec.type](value) === false) return 'type'
+			const measure = typeof value === 'string' || Array.isArray(value) ? value.length : value
+			if (typeof spec.min !== 'undefined' && measure < spec.min) return 'min'
+			if (typeof spec.max !== 'undefined' && measure > spec.max) return 'max'
+			if (Array.isArray(spec.enum) && spec.enum.includes(value) === false) return 'enum'
+			if (spec.regex instanceof RegExp && typeof value === 'string' && spec.regex.test(value) === false) return 'regex'
+		}
+		if (typeof spec.validator === 'function') {
+			const result = spec.validator(value, this)
+			if (typeof result === 'string') return result
+			if (result === false) return 'invalid'
+		}
+		return null
+	}
+	/**
+	Recompute the computed fields that depend on the changed fields and trigger 'changed:dataField' for those whose values changed
+	@param {string[]?} changedFields null to recompute every computed field
+	*/
+	_updateComputedFields(changedFields) {
+		if (this._computedValues === null) return
+		const changed = changedFields === null ? null : new Set(changedFields)
+		for (const dataField in this.options.computed) {
+			const spec = this.options.computed[dataField]
+			const dependsOn = Array.isArray(spec.dependsOn) ? spec.dependsOn : []
+			if (changed !== null && dependsOn.some(dependency => changed.has(dependency)) === false) continue
+			const previousValue = this._computedValues.has(dataField) ? this._computedValues.get(dataField) : null
+			const value = spec.compute(this)
+			this._computedValues.set(dataField, value)
+			if (_toJSON(value) === _toJSON(previousValue)) continue
+			if (changed !== null) changed.add(dataField) // so that later computed fields can depend on this one
+			this.trigger(`changed:${dataField}`, this, dataField, value, previousValue)
+		}
+	}
+	/** @return {Object} the default values of schema fields */
+	_schemaDefaults() {
+		const defaults = {}
+		if (!this.options.schema) return defaults
+		for (const dataField in this.options.schema) {
+			if (typeof this.options.schema[dataField].default === 'undefined') continue
+			const defaultValue = this.options.schema[dataField].default
+			defaults[dataField] = typeof defaultValue === 'function' ? defaultValue() : defaultValue
+		}
+		return defaults
+	}
 	increment(dataField, amount = 1) {
 		const currentVal = dataField in this.data ? this.data[dataField] : 0
 		this.set(dataField, currentVal + amount)
@@ -112,12 +416,17 @@ export default class extends DataObject {
 		})
 	}
 	reset(data = {}) {
+		if (data === null) data = {}
+		this._inReset = true
 		for (const key in this.data) {
 			if (typeof data[key] === 'undefined') {
 				this.data[key] = null
 			}
 		}
 		this.setBatch(data)
+		this._updateComputedFields(null)
+		this.validate()
+		this._inReset = false
 		this.trigger('reset', this)
 	}
 	equals(obj) {
@@ -128,3 +437,63 @@ export default class extends DataObject {
 		return false
 	}
 }
+
+/**
+Convert a value to a schema type, if possible
+Values that can not be converted are returned unchanged so that validation can find them
+@param {*} value
+@param {string} [type] 'string', 'number', 'integer', 'boolean', 'date', 'array', or 'object'
+*/
+DataModel.coerce = function(value, type) {
+	if (typeof value === 'undefined' || value === null || typeof type === 'undefined') return value
+	switch (type) {
+		case 'string':
+			if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+			return value
+		case 'number':
+		case 'integer':
+			if (typeof value === 'string' && value.trim() !== '' && isNaN(Number(value)) === false) {
+				return Number(value)
+			}
+			return value
+		case 'boolean':
+			if (value === 'true' || value === '1' || value === 1) return true
+			if (value === 'false' || value === '0' || value === 0) return false
+			return value
+		case 'date':
+			if (typeof value === 'string' || typeof value === 'number') {
+				const date = new Date(value)
+				if (isNaN(date.getTime()) === false) return date
+			}
+			return value
+		default:
+			return value
+	}
+}
+
+const _toJSON = function(value) {
+	return JSON.stringify(typeof value === 'undefined' ? null : value)
+}
+
+const _typeCheckers = {
+	string: value => typeof value === 'string',
+	number: value => typeof value === 'number' && isNaN(value) === false,
+	integer: value => Number.isInteger(value),
+	boolean: value => typeof value === 'boolean',
+	date: value => value instanceof Date && isNaN(value.getTime()) === false,
+	array: value => Array.isArray(value),
+	object: value => typeof value === 'object' && Array.isArray(value) === false
+}
+
+/** Throws if a field spec names a type that has no type checker */
+const _checkSchemaTypes = function(schema) {
+	for (const dataField in schema) {
+		const type = schema[dataField].type
+		if (typeof type === 'undefined' || Object.prototype.hasOwnProperty.call(_typeCheckers, type)) continue
+		throw new Error(
+			`Unknown schema type "${type}" for ${dataField}, expected one of ${Object.keys(_typeCheckers).join(', ')}`
+		)
+	}
+}
+
+export default DataModel
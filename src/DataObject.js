@@ -1,28 +1,72 @@
 import EventHandler from './EventHandler.js'
+import { DataError, NetworkError, TimeoutError, CancelledError, ParseError, errorForResponse } from './DataErrors.js'
 
 /**
 The abstract class for DataModel and DataCollection
 It holds the event mixin and the generic function of fetching data from a remote service
+
+Requests can time out and retry with exponential backoff when the network fails or the server responds with a 5xx status:
+
+	const model = new DataModel({}, { timeout: 5000, retries: 3, retryDelay: 500 }) // retry after 500, 1000, then 2000ms
+
+Creates and PATCH saves are not idempotent so they are never retried.
+A fetch cancels any fetch that is already in flight, so the last fetch to be called is the one that resets the data.
+`cancel` rejects every request that is in flight.
+The 'fetching' event includes the attempt number, starting at zero, and cancelled or timed out fetches trigger 'fetched' with the error.
+
+Failed requests reject with, and pass to the 'fetched', 'saved', and 'deleted' events, one of the errors in {@link DataErrors}.
+
+Any 2xx response is successful, unless options.isSuccessfulResponse says otherwise, and empty bodies like those of 204 responses are read as null.
+A fetch that receives no data resets to empty data, and a save that receives no data keeps its current data.
+When a create (POST) responds with 201, a Location header, and no data then the data is fetched from the Location.
 */
 const DataObject = class extends EventHandler {
 	/**
 	@param {Object} [options={}]
+	@param {number} [options.timeout=null] milliseconds to wait for each attempt of a request, or null to wait forever
+	@param {number} [options.retries=0] how many times to retry a request that failed
+	@param {number} [options.retryDelay=500] milliseconds to wait before the first retry, doubling for each following retry
+	@param {bool} [options.cancelSupersededFetches=true] if true, a fetch cancels any fetch that is already in flight
+	@param {function} [options.isSuccessfulResponse=DataObject.isSuccessfulResponse] receives a Response and returns true if the request succeeded
+	@param {bool} [options.followLocation=true] if true, fetch the Location of a 201 response that has no data
 	*/
 	constructor(options = {}) {
 		super()
-		this.options = options
+		this.options = Object.assign(
+			{
+				timeout: null,
+				retries: 0,
+				retryDelay: 500,
+				cancelSupersededFetches: true,
+				isSuccessfulResponse: DataObject.isSuccessfulResponse,
+				followLocation: true
+			},
+			options
+		)
+		this._activeRequests = new Set() // requests that are in flight, see _request
 		this._new = true // True until the first fetch returns, regardless of http status
+		this._inReset = false // True while reset is replacing the data
+		this._pending = false // True while an optimistic create or save is waiting for the server
 		this.cleanedUp = false
 	}
 	cleanup() {
 		if (this.cleanedUp) return
 		this.cleanedUp = true
+		this.cancel()
 		super.cleanup()
 	}
 	/** @type {bool} true until a fetch (even a failed fetch) returns */
 	get isNew() {
 		return this._new
 	}
+	/** @type {bool} true while `reset` is replacing the data, so listeners can tell resets from edits */
+	get isResetting() {
+		return this._inReset
+	}
+	/** @type {bool} true while an optimistic create or save is waiting for the server to respond */
+	get isPending() {
+		return this._pending
+	}
 	/** @type {string} the URL (relative or full) as a string for the endpoint used by this.fetch */
 	get url() {
 		throw new Error('Extending classes must implement url()')
@@ -32,6 +76,23 @@ const DataObject = class extends EventHandler {
 	reset(data = {}) {
 		throw new Error('Extending classes must implement reset')
 	}
+	/**
+	Extending classes that track changes override this to return changes since the last fetch or save
+	@type {Object?}
+	*/
+	get changes() {
+		return null
+	}
+	/**
+	Called after a fetch or save so that the current data is considered unchanged
+	Extending classes that track changes should override this
+	*/
+	resetChangeTracking() {}
+	/**
+	Called when an optimistic save fails, with the changes that were being saved
+	Extending classes that track changes should override this to restore the previous values
+	*/
+	rollbackChanges(changes) {}
 	parse(data) {
 		// Extending classes can override this to parse the data received via a fetch
 		return data
@@ -54,6 +115,17 @@ const DataObject = class extends EventHandler {
 			func(this)
 		}
 	}
+	/**
+	Extending classes can override this to change a request before it is sent, for example to send it to a GraphQL endpoint
+	@param {string} action 'fetch', 'create', 'update', 'patch', or 'delete'
+	@param {string} url
+	@param {Object} fetchOptions
+	@param {Object} [data=null] the data that is sent by creates, updates, and patches
+	@return {Object} { url, fetchOptions }
+	*/
+	prepareRequest(action, url, fetchOptions, data = null) {
+		return { url: url, fetchOptions: fetchOptions }
+	}
 	get fetchOptions() {
 		// Extending classes can override this to add headers, methods, etc to the fetch call
 		return {
@@ -64,18 +136,19 @@ const DataObject = class extends EventHandler {
 		// Ask the server for data for this model or collection
 		return new Promise(
 			function(resolve, reject) {
-				this.trigger('fetching', this)
-				this._innerFetch(this.url, this.fetchOptions)
-					.then(response => {
-						if (response.status != 200) {
-							throw 'Fetch failed with status ' + response.status
-						}
-						return response.json()
-					})
+				const request = this.prepareRequest('fetch', this.url, this.fetchOptions)
+				this._request(request.url, request.fetchOptions, {
+					kind: this.options.cancelSupersededFetches ? 'fetch' : null,
+					onAttempt: attempt => {
+						this.trigger('fetching', this, attempt)
+					}
+				})
+					.then(response => this._readResponse(response, 'Fetch'))
 					.then(data => {
 						data = this.parse(data)
 						this._new = false
 						this.reset(data)
+						this.resetChangeTracking()
 						this.trigger('fetched', this, data, null)
 						resolve(this)
 					})
@@ -87,6 +160,134 @@ const DataObject = class extends EventHandler {
 			}.bind(this)
 		)
 	}
+	/** @type {bool} true if a fetch, save, or delete is in flight */
+	get isRequesting() {
+		return this._activeRequests.size > 0
+	}
+	/**
+	Cancel every request that is in flight, rejecting their Promises
+	*/
+	cancel() {
+		for (const request of Array.from(this._activeRequests)) {
+			request.cancel()
+		}
+	}
+	/**
+	Send a request through _innerFetch, with the timeout and retries from this.options
+	5xx responses are retried and if no retries remain the last response is resolved
+	@param {string} url
+	@param {Object} fetchOptions
+	@param {Object} [requestOptions={}]
+	@param {string} [requestOptions.kind=null] cancels requests of the same kind that are in flight
+	@param {function} [requestOptions.onAttempt=null] called with the attempt number before each attempt
+	@return {Promise<Response>}
+	*/
+	_request(url, fetchOptions, requestOptions = {}) {
+		const kind = requestOptions.kind || null
+		if (kind !== null) {
+			for (const activeRequest of Array.from(this._activeRequests)) {
+				if (activeRequest.kind === kind) activeRequest.cancel()
+			}
+		}
+		const method = (fetchOptions.method || 'get').toLowerCase()
+		const retries = method === 'post' || method === 'patch' ? 0 : this.options.retries || 0
+		const request = { kind: kind, cancel: null }
+		this._activeRequests.add(request)
+		return new Promise((resolve, reject) => {
+			let settled = false
+			let timer = null // times out an attempt or waits to retry
+			let controller = null
+			const settle = (func, value) => {
+				if (settled) return
+				settled = true
+				clearTimeout(timer)
+				this._activeRequests.delete(request)
+				func(value)
+			}
+			request.cancel = () => {
+				if (controller !== null) controller.abort()
+				settle(reject, new CancelledError('Request cancelled'))
+			}
+			const attempt = attemptNumber => {
+				if (settled) return
+				let attemptDone = false
+				const retryOrSettle = (func, value) => {
+					if (attemptDone || settled) return
+					attemptDone = true
+					clearTimeout(timer)
+					if (attemptNumber >= retries) {
+						settle(func, value)
+						return
+					}
+					timer = setTimeout(() => {
+						attempt(attemptNumber + 1)
+					}, this.options.retryDelay * Math.pow(2, attemptNumber))
+				}
+				if (requestOptions.onAttempt) requestOptions.onAttempt(attemptNumber)
+				controller = typeof AbortController === 'undefined' ? null : new AbortController()
+				const attemptOptions = Object.assign({}, fetchOptions)
+				if (controller !== null) attemptOptions.signal = controller.signal
+				if (this.options.timeout !== null) {
+					timer = setTimeout(() => {
+						if (controller !== null) controller.abort()
+						retryOrSettle(reject, new TimeoutError(`Request timed out after ${this.options.timeout}ms`))
+					}, this.options.timeout)
+				}
+				this._innerFetch(url, attemptOptions)
+					.then(response => {
+						if (attemptDone) return // this attempt timed out, so a later attempt or the timeout settles the request
+						if (response.status >= 500) {
+							retryOrSettle(resolve, response)
+						} else {
+							attemptDone = true
+							settle(resolve, response)
+						}
+					})
+					.catch(err => {
+						retryOrSettle(reject, err instanceof DataError ? err : new NetworkError(`Request failed: ${err}`, err))
+					})
+			}
+			attempt(0)
+		})
+	}
+	/**
+	@param {Response} response
+	@param {string} action the name of the request for error messages, like 'Fetch'
+	@param {bool} [parse=true] if false, the body is not parsed as JSON
+	@return {Promise<*>} the parsed JSON of a successful response, or null if the body is empty or is not parsed
+	*/
+	_readResponse(response, action, parse = true) {
+		return response.text().then(
+			text => {
+				if (this.options.isSuccessfulResponse(response) === false) {
+					throw errorForResponse(`${action} failed with status ${response.status}`, response, text)
+				}
+				if (parse === false || text === '') return null
+				try {
+					return JSON.parse(text)
+				} catch (err) {
+					throw new ParseError(`${action} response is not JSON`, text, err)
+				}
+			},
+			err => {
+				throw new NetworkError(`${action} response could not be read`, err)
+			}
+		)
+	}
+	/**
+	If a create responded with 201, a Location header, and no data, then fetch the data from the Location
+	@param {Response} response
+	@param {*} data the data read from the response
+	@return {Promise<*>} the data from the Location, or the data that was passed in
+	*/
+	_followLocation(response, data) {
+		const location = response.headers.get('Location')
+		if (data !== null || response.status !== 201 || location === null || this.options.followLocation === false) {
+			return Promise.resolve(data)
+		}
+		const url = response.url ? new URL(location, response.url).href : location
+		return this._request(url, this.fetchOptions).then(locationResponse => this._readResponse(locationResponse, 'Fetch'))
+	}
 	/**
 	Use this to override the use of window.fetch
 	For example, MockService overrides this to intercept fetch calls and return its own responses for matched endpoints
@@ -123,34 +324,61 @@ const DataObject = class extends EventHandler {
 			}
 		})
 	}
-	save() {
-		// Tell the server to create (POST) or update (PUT) this model or collection
+	/**
+	Tell the server to create (POST) or update (PUT or PATCH) this model or collection
+	The 'saving' and 'saved' events include the changes that were saved, if the DataObject tracks changes
+	If the save is optimistic then the DataObject is pending until the server responds and if the save fails the changes are rolled back and a 'rollback' event is triggered
+	@param {Object} [options={}]
+	@param {bool} [options.patch=this.options.patchSaves] if true and this is not new, PATCH only the changed fields
+	@param {bool} [options.optimistic=this.options.optimisticSaves] if true, roll back the changes if the save fails
+	*/
+	save(options = {}) {
 		return new Promise(
 			function(resolve, reject) {
-				this.trigger('saving', this)
-				const options = Object.assign({}, this.fetchOptions)
+				const changes = this.changes
+				const optimistic =
+					(typeof options.optimistic === 'boolean' ? options.optimistic : this.options.optimisticSaves) === true
+				if (optimistic) this._pending = true
+				this.trigger('saving', this, changes)
+				const patch = this.isNew === false && changes !== null && (options.patch || this.options.patchSaves) === true
+				const fetchOptions = Object.assign({}, this.fetchOptions)
 				if (this.isNew) {
-					options.method = 'post'
+					fetchOptions.method = 'post'
+				} else if (patch) {
+					fetchOptions.method = 'PATCH' // Unlike post and put, fetch does not normalize the case of patch
 				} else {
-					options.method = 'put'
+					fetchOptions.method = 'put'
 				}
-				options.body = JSON.stringify(this.data)
-				this._innerFetch(this.url, options)
-					.then(response => {
-						if (response.status != 200) {
-							throw 'Save failed with status ' + response.status
-						}
-						return response.json()
-					})
+				let requestData = this.data
+				if (patch) {
+					requestData = {}
+					for (const dataField in changes) {
+						requestData[dataField] = changes[dataField].current
+					}
+				}
+				fetchOptions.body = JSON.stringify(requestData)
+				const action = this.isNew ? 'create' : patch ? 'patch' : 'update'
+				const request = this.prepareRequest(action, this.url, fetchOptions, requestData)
+				this._request(request.url, request.fetchOptions)
+					.then(response => this._readResponse(response, 'Save').then(data => this._followLocation(response, data)))
 					.then(data => {
-						data = this.parse(data)
-						this.reset(data)
+						this._pending = false
+						if (data !== null) {
+							data = this.parse(data)
+							this.reset(data)
+						}
 						this._new = false
-						this.trigger('saved', this, data, null)
+						this.resetChangeTracking()
+						this.trigger('saved', this, data, null, changes)
 						resolve(this)
 					})
 					.catch(err => {
-						this.trigger('saved', this, null, err)
+						this._pending = false
+						this.trigger('saved', this, null, err, changes)
+						if (optimistic) {
+							this.rollbackChanges(changes)
+							this.trigger('rollback', this, err, changes)
+						}
 						reject(err)
 					})
 			}.bind(this)
@@ -162,11 +390,10 @@ const DataObject = class extends EventHandler {
 				this.trigger('deleting', this)
 				const options = Object.assign({}, this.fetchOptions)
 				options.method = 'delete'
-				this._innerFetch(this.url, options)
-					.then(response => {
-						if (response.status != 200) {
-							throw 'Delete failed with status ' + response.status
-						}
+				const request = this.prepareRequest('delete', this.url, options)
+				this._request(request.url, request.fetchOptions)
+					.then(response => this._readResponse(response, 'Delete', false))
+					.then(() => {
 						this.trigger('deleted', this, null)
 						resolve()
 					})
@@ -181,4 +408,13 @@ const DataObject = class extends EventHandler {
 
 DataObject._NO_CHANGE = Symbol('no change')
 
+/**
+The default for options.isSuccessfulResponse
+@param {Response} response
+@return {bool} true if the status is 2xx
+*/
+DataObject.isSuccessfulResponse = function(response) {
+	return response.status >= 200 && response.status < 300
+}
+
 export default DataObject
@@ -0,0 +1,177 @@
+import DataModel from './DataModel.js'
+import DataCollection from './DataCollection.js'
+import { GraphQLError } from './DataErrors.js'
+
+/*
+GraphQLModel and GraphQLCollection send their fetches, saves, and deletes to a GraphQL endpoint as queries and mutations.
+
+	class NoteModel extends GraphQLModel {
+		get url() {
+			return '/graphql'
+		}
+		static get queries() {
+			return {
+				fetch: { query: 'query Note($id: ID!) { note(id: $id) { id title } }' },
+				create: { query: 'mutation CreateNote($input: NoteInput!) { createNote(input: $input) { id title } }' },
+				update: {
+					query: 'mutation UpdateNote($id: ID!, $input: NoteInput!) { updateNote(id: $id, input: $input) { note { id title } } }',
+					variables: model => ({ id: model.get('id'), input: { title: model.get('title') } }),
+					path: 'updateNote.note'
+				},
+				delete: { query: 'mutation DeleteNote($id: ID!) { deleteNote(id: $id) }' }
+			}
+		}
+	}
+
+Queries are keyed by action: 'fetch', 'create', 'update', 'patch' (which falls back to 'update'), and 'delete'.
+Queries may also be passed in options.queries.
+
+Variables default to { id } for fetches and deletes and to { id, input } for saves, where input is the data being saved.
+A query's `variables` function receives the DataObject and the data being saved and returns the variables.
+
+`parse` throws a DataErrors.GraphQLError if the response has errors, then unwraps the `data` envelope.
+Deletes do not parse their responses, but they also reject with a GraphQLError if the response has errors.
+If the query has a `path` like 'updateNote.note' then the data at that path is used, otherwise the data of the only root field is used.
+
+GraphQLCollection works the same way, with variables that default to {} for fetches and { input } for creates.
+Paginated GraphQLCollections send the page query, like { page, pageSize }, as variables and read pages like DataCollection does,
+so the root field may be a list or an object like { items, totalCount, nextCursor, hasMore }.
+{@link MockService} can stand in for GraphQL endpoints with `addGraphQLEndpoint`.
+*/
+
+const GraphQLModel = class extends DataModel {
+	/**
+	Extending classes override this to declare queries, as described above, or pass them in options.queries
+	@type {Object?}
+	*/
+	static get queries() {
+		return null
+	}
+	/** @type {Object} a map of action to { query, variables, path } */
+	get queries() {
+		return this.options.queries || this.constructor.queries || {}
+	}
+	prepareRequest(action, url, fetchOptions, data = null) {
+		const defaultVariables = { id: this.get('id') }
+		if (data !== null) defaultVariables.input = data
+		return _prepareGraphQLRequest(this.queries, action, url, fetchOptions, data, defaultVariables, this)
+	}
+	/** Unwraps the GraphQL envelope before DataModel parses the data */
+	parse(data) {
+		return super.parse(_unwrapGraphQLResponse(data, this.queries))
+	}
+	_readResponse(response, action, parse = true) {
+		return _readGraphQLResponse(this, response, action, parse, super._readResponse.bind(this))
+	}
+}
+
+const GraphQLCollection = class extends DataCollection {
+	/**
+	Extending classes override this to declare queries, as described above, or pass them in options.queries
+	@type {Object?}
+	*/
+	static get queries() {
+		return null
+	}
+	/** @type {Object} a map of action to { query, variables, path } */
+	get queries() {
+		return this.options.queries || this.constructor.queries || {}
+	}
+	prepareRequest(action, url, fetchOptions, data = null) {
+		const defaultVariables = data !== null ? { input: data } : {}
+		if (action === 'fetch' && this.isPaginated) {
+			// Send the page query as variables instead of in the URL
+			Object.assign(defaultVariables, this.pageQuery())
+			url = this.url
+		}
+		return _prepareGraphQLRequest(this.queries, action, url, fetchOptions, data, defaultVariables, this)
+	}
+	/** Unwraps the GraphQL envelope before DataCollection parses the data */
+	parse(data) {
+		return super.parse(_unwrapGraphQLResponse(data, this.queries))
+	}
+	/** Unwraps the GraphQL envelope before DataCollection reads the page */
+	parsePage(data, response) {
+		return super.parsePage(_unwrapGraphQLResponse(data, this.queries), response)
+	}
+	parseCreated(data) {
+		return super.parseCreated(_unwrapGraphQLResponse(data, this.queries))
+	}
+	_readResponse(response, action, parse = true) {
+		return _readGraphQLResponse(this, response, action, parse, super._readResponse.bind(this))
+	}
+}
+
+/**
+Responses that are not parsed, like those of deletes, are still checked for GraphQL errors
+@return {Promise<*>} the result of DataObject._readResponse
+*/
+const _readGraphQLResponse = function(dataObject, response, action, parse, readResponse) {
+	if (parse) return readResponse(response, action, parse)
+	return readResponse(response, action, true).then(data => {
+		_unwrapGraphQLResponse(data, dataObject.queries)
+		return null
+	})
+}
+
+/**
+@return {Object} { url, fetchOptions } for a POST of the query and variables
+*/
+const _prepareGraphQLRequest = function(queries, action, url, fetchOptions, data, defaultVariables, dataObject) {
+	let spec = queries[action]
+	if (!spec && action === 'patch') spec = queries.update
+	if (!spec) throw new Error(`No GraphQL query for ${action}`)
+	const variables = typeof spec.variables === 'function' ? spec.variables(dataObject, data) : defaultVariables
+	const graphQLOptions = Object.assign({}, fetchOptions)
+	graphQLOptions.method = 'post'
+	graphQLOptions.headers = Object.assign({ 'Content-Type': 'application/json' }, fetchOptions.headers || {})
+	graphQLOptions.body = JSON.stringify({ query: spec.query, variables: variables })
+	return { url: url, fetchOptions: graphQLOptions }
+}
+
+/**
+@return {Object} the data for the query that the response answers
+*/
+const _unwrapGraphQLResponse = function(response, queries) {
+	if (_isGraphQLEnvelope(response) === false) return response
+	if (Array.isArray(response.errors) && response.errors.length > 0) {
+		throw new GraphQLError(
+			response.errors.map(error => error.message).join(', '),
+			response.errors,
+			response.data || null
+		)
+	}
+	const data = response.data
+	if (data === null || typeof data !== 'object') return data
+	const rootFields = Object.keys(data)
+	if (rootFields.length !== 1) return data
+	// Use the path of the query whose root field is in the response
+	for (const action in queries) {
+		const spec = queries[action]
+		if (!spec.path || spec.path.split('.')[0] !== rootFields[0]) continue
+		return spec.path.split('.').reduce((value, field) => {
+			return value === null || typeof value === 'undefined' ? null : value[field]
+		}, data)
+	}
+	return data[rootFields[0]]
+}
+
+const _isGraphQLEnvelope = function(response) {
+	if (response === null || typeof response !== 'object' || Array.isArray(response)) return false
+	const keys = Object.keys(response)
+	return (
+		(keys.includes('data') || keys.includes('errors')) &&
+		keys.every(key => key === 'data' || key === 'errors' || key === 'extensions')
+	)
+}
+
+/**
+@param {string} query
+@return {string?} the name of the first root field of the query, like 'note' for 'query Note($id: ID!) { note(id: $id) { id } }'
+*/
+const rootFieldOf = function(query) {
+	const match = query.match(/^[^{]*\{\s*(?:\w+\s*:\s*)?(\w+)/)
+	return match === null ? null : match[1]
+}
+
+export { GraphQLModel, GraphQLCollection, rootFieldOf }
@@ -1,4 +1,6 @@
 import DataObject from './DataObject.js'
+import RealtimeChannel from './RealtimeChannel.js'
+import { rootFieldOf } from './GraphQL.js'
 
 /*
 MockService attaches itself to DataObject and will service fetches if it has a matching endpoint, otherwise it uses window.fetch.
@@ -11,65 +13,970 @@ MockService attaches itself to DataObject and will service fetches if it has a m
 	})
 	service.attachToDataObject()
 
+Endpoints can match a method, pass named regex groups (or options.paramNames) as params, and read the parsed JSON body:
+
+	service.addJSONEndpoint(/^\/api\/notes\/(?<id>[0-9]+)$/, (url, fetchOptions, request) => {
+		return Object.assign({ id: request.params.id }, request.body)
+	}, { method: 'PUT' })
+
+Responses can be slowed and made to fail, for the whole service or for one endpoint:
+
+	let service = new MockService({ latency: 200, jitter: 100, failureRate: 0.1 }) // 100 to 300ms, and 1 in 10 fail
+	let endpoint = service.addEndpoint(/^blog\/$/, serviceFunction, { failure: { status: 503 } })
+	endpoint.failNext(2) // the next two requests fail with 503
+	endpoint.failNext(1, { network: true }) // and then one fails like an unreachable server
+
+Resources are stateful in-memory collections that answer REST requests, so DataModels and DataCollections can round trip without a server:
+
+	let notes = service.addResource('/api/notes', [{ id: 1, title: 'First' }, { id: 2, title: 'Second' }])
+	// GET /api/notes?done=false&page=2&pageSize=20, POST /api/notes, and GET, PUT, PATCH, or DELETE /api/notes/1
+	notes.records // the current records
+
+Attach to one DataObject instance or class instead of every DataObject, and detach when done:
+
+	service.attachToDataObject(NoteModel) // or a DataObject instance
+	service.detach() // restores the replaced fetches
+
+Every request is logged in `service.requests`, which tests can check with `expectRequest`:
+
+	let service = new MockService({ fallThrough: false }) // unmatched requests fail instead of using window.fetch
+	note.save().then(() => {
+		service.expectRequest('PUT', '/api/notes/12', { id: 12, title: 'Saved' }) // throws if no request matches
+	})
+
+Recorded traffic can be replayed from a HAR file or from fixtures like { method, url, body, response: { status, headers, body } }:
+
+	service.loadFixtures(harOrFixtures, { mode: 'lenient' })
+	service.fetchFixtures('/fixtures/notes.har') // a Promise that loads fixtures from a URL
+	console.log(JSON.stringify(service.unmatchedFixtures(), null, 2)) // stubs to fill in for requests that had no fixture
+
+To also mock requests that do not come from DataObjects, like assets, KSS, fonts, and models, take over window.fetch:
+
+	service.attachToWindowFetch()
+
+Requests that do not use window.fetch, like CSS fonts and XMLHttpRequests, can be mocked by a service worker.
+The worker script is static/mock-service-worker.js and its scope must cover the page, so serve it from the app root
+or with a Service-Worker-Allowed header. The worker forwards the requests of pages that attached to it to their MockService:
+
+	service.attachToServiceWorker('/mock-service-worker.js').then(() => { ... })
+
+Window fetches and service worker requests for same-origin URLs are matched by path, like '/api/notes/12'.
+
+MockService can also stand in for realtime servers so that RealtimeChannels connect to it instead of opening sockets:
+
+	let updates = service.addRealtimeEndpoint(/^wss:\/\/example.com\/updates$/)
+	service.attachToRealtimeChannel()
+	channel.connect()
+	updates.push({ type: 'set', id: 12, data: { title: 'Pushed' } })
+
+GraphQL endpoints answer queries and mutations with resolvers that are keyed by root field name:
+
+	service.addGraphQLEndpoint(/^\/graphql$/, {
+		note: variables => ({ id: variables.id, title: 'Canned title' }),
+		deleteNote: variables => true
+	})
+
 */
 export default class MockService {
-	constructor() {
+	/*
+	Options are the defaults for every endpoint:
+	latency: milliseconds to wait before responding
+	jitter: up to this many milliseconds are randomly added to or subtracted from the latency
+	failureRate: the chance, from 0 to 1, that a request fails
+	failure: how requests fail, either { status, body } for an error response or { network: true } for a rejected fetch
+	random: a function that returns numbers from 0 to 1, replace Math.random for repeatable tests
+	And for the service:
+	fallThrough: if true then requests that match no endpoint use the replaced fetch, otherwise they fail
+	*/
+	constructor(options = {}) {
+		this.options = Object.assign(
+			{
+				latency: 0,
+				jitter: 0,
+				failureRate: 0,
+				failure: { status: 500 },
+				random: Math.random,
+				fallThrough: true
+			},
+			options
+		)
 		this.endpoints = []
+		this.realtimeEndpoints = []
+		this.requests = [] // the log of requests, like { url, method, params, captures, body, fetchOptions, endpoint }
+		this._replacedFetches = new Map() // DataObject, or a DataObject prototype -> { replacedFetch, wasOwnProperty }
+		this._replacedConnect = null
+		this._replacedWindowFetch = null
+		this._serviceWorkerListener = null
 	}
 
 	/*
-	Add an endpoint with a service function that must return a Response 
+	Add an endpoint with a service function that must return a Response (or a Promise of a Response)
+	The service function receives the url, the fetch options, and a request like { url, method, params, captures, body }
+	Options may include a method (like 'GET') to match, paramNames for unnamed regex groups, and latency, jitter, failureRate, and failure
+	Options may also include a filter function that receives the request and returns false to pass it to later endpoints
+	Returns the MockEndpoint
 	*/
-	addEndpoint(urlRegex, serviceFunction) {
-		this.endpoints.push(new MockEndpoint(urlRegex, serviceFunction))
+	addEndpoint(urlRegex, serviceFunction, options = {}) {
+		const endpoint = new MockEndpoint(urlRegex, serviceFunction, options)
+		this.endpoints.push(endpoint)
+		return endpoint
 	}
 
 	/*
-	Add an endpoint with a service function that should return a JSON serializable data structure
+	Add an endpoint with a service function that should return a JSON serializable data structure (or a Promise of one)
 	*/
-	addJSONEndpoint(urlRegex, jsonServiceFunction) {
-		this.addEndpoint(urlRegex, (url, ...params) => {
-			const json = jsonServiceFunction(url, ...params)
-			if (json === null) {
-				return new Response(new Blob(), { status: 404, statusText: 'File not found, yo' })
-			} else {
-				return new Response(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), {
-					status: 200,
-					statusText: 'OK'
+	addJSONEndpoint(urlRegex, jsonServiceFunction, options = {}) {
+		return this.addEndpoint(
+			urlRegex,
+			(url, ...params) => {
+				return Promise.resolve(jsonServiceFunction(url, ...params)).then(json => {
+					if (json === null) {
+						return new Response(new Blob(), { status: 404, statusText: 'File not found, yo' })
+					} else {
+						return new Response(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), {
+							status: 200,
+							statusText: 'OK'
+						})
+					}
 				})
+			},
+			options
+		)
+	}
+
+	/*
+	Take over DataObject._innerFetch to intercept fetches and service with endpoints if possible
+	Target may be a DataObject instance, a DataObject class, or null to intercept the fetches of every DataObject
+	Attaching to a class and its subclass handles each request once, and falls through past this service's other wrappers
+	*/
+	attachToDataObject(target = null) {
+		if (target === null) target = DataObject
+		if (typeof target === 'function') target = target.prototype
+		if (this._replacedFetches.has(target)) return
+		const replacedFetch = target._innerFetch
+		this._replacedFetches.set(target, {
+			replacedFetch: replacedFetch,
+			wasOwnProperty: Object.prototype.hasOwnProperty.call(target, '_innerFetch')
+		})
+		const service = this
+		const wrapper = function(url, options = {}) {
+			const response = service.handle(url, options)
+			if (response !== null) return response
+			if (service.options.fallThrough) return _unwrappedFetch(service, replacedFetch).call(this, url, options)
+			return Promise.reject(
+				new Error(`MockService has no endpoint for ${(options.method || 'GET').toUpperCase()} ${url}`)
+			)
+		}
+		_fetchWrappers.set(wrapper, { service: service, replacedFetch: replacedFetch })
+		target._innerFetch = wrapper
+	}
+
+	/*
+	Restore the fetches replaced by attachToDataObject for a target, or every target if target is null
+	*/
+	detachFromDataObject(target = null) {
+		if (target === null) {
+			for (const replacedTarget of Array.from(this._replacedFetches.keys())) {
+				this.detachFromDataObject(replacedTarget)
+			}
+			return
+		}
+		if (typeof target === 'function') target = target.prototype
+		if (this._replacedFetches.has(target) === false) return
+		const { replacedFetch, wasOwnProperty } = this._replacedFetches.get(target)
+		if (wasOwnProperty) {
+			target._innerFetch = replacedFetch
+		} else {
+			delete target._innerFetch // reveals the inherited _innerFetch
+		}
+		this._replacedFetches.delete(target)
+	}
+
+	/*
+	Undo every attachToDataObject and attachToRealtimeChannel
+	*/
+	detach() {
+		this.detachFromDataObject()
+		if (this._replacedConnect !== null) {
+			RealtimeChannel.prototype._innerConnect = this._replacedConnect
+			this._replacedConnect = null
+		}
+		if (this._replacedWindowFetch !== null) {
+			window.fetch = this._replacedWindowFetch
+			this._replacedWindowFetch = null
+		}
+		this.detachFromServiceWorker()
+	}
+
+	/*
+	Take over window.fetch to service every fetch with endpoints if possible
+	*/
+	attachToWindowFetch() {
+		if (this._replacedWindowFetch !== null) return
+		const replacedFetch = window.fetch
+		this._replacedWindowFetch = replacedFetch
+		window.fetch = (input, options = {}) => {
+			return _readFetchInput(input, options).then(({ url, fetchOptions }) => {
+				const response = this.handle(url, fetchOptions)
+				if (response !== null) return response
+				if (this.options.fallThrough) return replacedFetch.call(window, input, options)
+				throw new TypeError(`MockService has no endpoint for ${(fetchOptions.method || 'GET').toUpperCase()} ${url}`)
+			})
+		}
+	}
+
+	/*
+	Register the mock service worker and ask it to forward this page's requests to this MockService
+	Requests that match no endpoint are fetched by the worker, or fail if options.fallThrough is false
+	Returns a Promise that resolves when the worker is forwarding requests
+	*/
+	attachToServiceWorker(scriptURL = '/mock-service-worker.js', registrationOptions = {}) {
+		if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+			return Promise.reject(new Error('Service workers are not supported'))
+		}
+		if (this._serviceWorkerListener === null) {
+			this._serviceWorkerListener = event => {
+				if (!event.data || event.data.type !== MockService.ServiceWorkerRequestMessage) return
+				this._handleServiceWorkerRequest(event.data, event.ports[0])
 			}
+			navigator.serviceWorker.addEventListener('message', this._serviceWorkerListener)
+		}
+		return navigator.serviceWorker
+			.register(scriptURL, registrationOptions)
+			.then(() => navigator.serviceWorker.ready)
+			.then(registration => {
+				return new Promise(resolve => {
+					// The worker answers once it is forwarding this page's requests
+					const channel = new MessageChannel()
+					channel.port1.onmessage = () => resolve(registration)
+					registration.active.postMessage({ type: MockService.ServiceWorkerAttachMessage }, [channel.port2])
+				})
+			})
+			.then(registration => {
+				// The first load of the page is not controlled until the worker claims it
+				if (navigator.serviceWorker.controller !== null) return registration
+				return new Promise(resolve => {
+					navigator.serviceWorker.addEventListener('controllerchange', () => resolve(registration), { once: true })
+				})
+			})
+	}
+
+	/*
+	Ask the mock service worker to stop forwarding this page's requests
+	*/
+	detachFromServiceWorker() {
+		if (this._serviceWorkerListener === null) return
+		navigator.serviceWorker.removeEventListener('message', this._serviceWorkerListener)
+		this._serviceWorkerListener = null
+		if (navigator.serviceWorker.controller !== null) {
+			navigator.serviceWorker.controller.postMessage({ type: MockService.ServiceWorkerDetachMessage })
+		}
+	}
+
+	/*
+	Throws an Error unless a logged request has the method and url, and the body if one is passed
+	Url may be a string or a RegExp, and the body is compared to the parsed request body
+	Returns the first matching request
+	*/
+	expectRequest(method, url, body = undefined) {
+		const request = this.findRequests(method, url, body)[0]
+		if (typeof request !== 'undefined') return request
+		const expected = `${method.toUpperCase()} ${url}` + (typeof body === 'undefined' ? '' : ` ${JSON.stringify(body)}`)
+		const received = this.requests.map(request => `${request.method} ${request.url}`).join(', ') || 'no requests'
+		throw new Error(`Expected a request like ${expected} but received ${received}`)
+	}
+
+	/*
+	Returns the logged requests that have the method (or any method if null), url, and the body if one is passed
+	*/
+	findRequests(method = null, url = null, body = undefined) {
+		return this.requests.filter(request => {
+			if (method !== null && request.method !== method.toUpperCase()) return false
+			if (url instanceof RegExp && url.test(request.url) === false) return false
+			if (typeof url === 'string' && request.url !== url) return false
+			return typeof body === 'undefined' || _deepEqual(request.body, body)
 		})
 	}
 
+	clearRequests() {
+		this.requests.length = 0
+	}
+
 	/*
-	Take over DataObject.protocol._innerFetch to intercept fetches and service with endpoints if possible
+	Service a fetch with the first matching endpoint
+	Returns a Promise of the Response, or null if no endpoint matches
 	*/
-	attachToDataObject() {
-		DataObject.prototype._innerFetch = (url, ...params) => {
-			for (const endpoint of this.endpoints) {
-				if (endpoint.match(url)) {
-					return new Promise((resolve, reject) => {
-						resolve(endpoint.service(url, ...params))
+	handle(url, fetchOptions = {}) {
+		const request = {
+			url: url,
+			method: (fetchOptions.method || 'GET').toUpperCase(),
+			params: {},
+			captures: [],
+			body: _parseBody(fetchOptions.body),
+			fetchOptions: fetchOptions,
+			endpoint: null
+		}
+		this.requests.push(request)
+		for (const endpoint of this.endpoints) {
+			if (endpoint.matchesMethod(request.method) === false) continue
+			const match = endpoint.match(url)
+			if (match === null) continue
+			if (endpoint.options.filter !== null && endpoint.options.filter(request) === false) continue
+			request.params = endpoint.paramsFor(match)
+			request.captures = match.slice(1)
+			request.endpoint = endpoint
+			const failure = this._nextFailure(endpoint)
+			return _wait(this._latencyFor(endpoint)).then(() => {
+				if (failure === null) return endpoint.service(url, fetchOptions, request)
+				if (failure.network) throw new TypeError('Failed to fetch')
+				const body = typeof failure.body === 'undefined' ? null : JSON.stringify(failure.body)
+				return new Response(body, { status: failure.status || 500, statusText: 'Simulated failure' })
+			})
+		}
+		return null
+	}
+
+	/*
+	Add an endpoint that answers GraphQL requests
+	Each resolver receives the variables and the query and returns the data (or a Promise of the data) for its root field
+	Resolvers that throw and root fields without resolvers are answered with GraphQL errors
+	*/
+	addGraphQLEndpoint(urlRegex, resolvers, endpointOptions = {}) {
+		return this.addEndpoint(
+			urlRegex,
+			(url, options = {}) => {
+				const respond = json => {
+					return new Response(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), {
+						status: 200,
+						statusText: 'OK'
 					})
 				}
+				let request = null
+				try {
+					request = JSON.parse(options.body)
+				} catch (e) {
+					return respond({ errors: [{ message: 'The request body is not a GraphQL request' }] })
+				}
+				const rootField = rootFieldOf(request.query || '')
+				if (typeof resolvers[rootField] !== 'function') {
+					return respond({ errors: [{ message: `No resolver for ${rootField}` }] })
+				}
+				return new Promise(resolve => {
+					resolve(resolvers[rootField](request.variables || {}, request.query))
+				}).then(
+					data => respond({ data: { [rootField]: data } }),
+					err => respond({ errors: [{ message: err.message || String(err) }], data: null })
+				)
+			},
+			endpointOptions
+		)
+	}
+
+	/*
+	Add a stateful in-memory resource that answers list, get, create, update, patch, and delete requests
+	Lists are filtered by query params that match record fields, and paginated by page and pageSize, offset and limit, or cursor and limit
+	Options may include idField (defaults to 'id') and generateId, a function that receives the records and returns a new id
+	Returns the MockResource
+	*/
+	addResource(baseURL, seedData = [], options = {}) {
+		const resource = new MockResource(baseURL, seedData, options)
+		const escapedURL = baseURL.replace(/\/$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+		const listRegex = new RegExp(`^${escapedURL}/?(?:\\?.*)?$`)
+		const itemRegex = new RegExp(`^${escapedURL}/(?<id>[^/?]+)/?(?:\\?.*)?$`)
+		resource.endpoints.push(
+			this.addEndpoint(listRegex, url => resource.list(_parseQuery(url)), { method: 'GET' }),
+			this.addEndpoint(listRegex, (url, fetchOptions, request) => resource.create(request.body), { method: 'POST' })
+		)
+		for (const method of ['GET', 'PUT', 'PATCH', 'DELETE']) {
+			resource.endpoints.push(
+				this.addEndpoint(
+					itemRegex,
+					(url, fetchOptions, request) => {
+						const id = decodeURIComponent(request.params.id)
+						switch (method) {
+							case 'GET':
+								return resource.get(id)
+							case 'PUT':
+								return resource.update(id, request.body)
+							case 'PATCH':
+								return resource.patch(id, request.body)
+							case 'DELETE':
+								return resource.delete(id)
+						}
+					},
+					{ method: method }
+				)
+			)
+		}
+		return resource
+	}
+
+	/*
+	Add endpoints that replay recorded responses
+	Fixtures may be a HAR object or an array of { method, url, body, response: { status, statusText, headers, body } }
+	Requests with more than one fixture are answered with each response in turn, then with the last one
+	Options:
+	mode: 'strict' to match the url exactly, or 'lenient' to ignore the origin and the order of query params
+	matchBody: if true then request bodies must equal fixture bodies, defaults to true in strict mode
+	Returns the MockEndpoints
+	*/
+	loadFixtures(fixtures, options = {}) {
+		options = Object.assign({ mode: 'strict' }, options)
+		if (options.mode !== 'strict' && options.mode !== 'lenient')
+			throw new Error(`Unknown fixture mode: ${options.mode}`)
+		if (typeof options.matchBody !== 'boolean') options.matchBody = options.mode === 'strict'
+		if (Array.isArray(fixtures) === false) fixtures = _fixturesFromHAR(fixtures)
+
+		// Group the fixtures for each request so their responses are served in order
+		const groups = new Map() // key -> fixture[]
+		for (const fixture of fixtures) {
+			const body = options.matchBody ? _parseBody(_fixtureBody(fixture.body)) : null
+			const key = JSON.stringify([
+				(fixture.method || 'GET').toUpperCase(),
+				_fixtureURL(fixture.url, options.mode),
+				body
+			])
+			if (groups.has(key) === false) groups.set(key, [])
+			groups.get(key).push(fixture)
+		}
+
+		const endpoints = []
+		for (const groupFixtures of groups.values()) {
+			const fixture = groupFixtures[0]
+			const fixtureURL = _fixtureURL(fixture.url, options.mode)
+			const fixtureBody = _parseBody(_fixtureBody(fixture.body))
+			let responseCount = 0
+			endpoints.push(
+				this.addEndpoint(
+					/^/,
+					() => {
+						const response = groupFixtures[Math.min(responseCount, groupFixtures.length - 1)].response || {}
+						responseCount += 1
+						return _fixtureResponse(response)
+					},
+					{
+						method: (fixture.method || 'GET').toUpperCase(),
+						filter: request => {
+							if (_fixtureURL(request.url, options.mode) !== fixtureURL) return false
+							return options.matchBody === false || _deepEqual(request.body, fixtureBody)
+						}
+					}
+				)
+			)
+		}
+		return endpoints
+	}
+
+	/*
+	Fetch a HAR file or JSON fixtures with window.fetch and load them
+	Returns a Promise that resolves to the MockEndpoints
+	*/
+	fetchFixtures(url, options = {}) {
+		return fetch(url)
+			.then(response => {
+				if (response.ok === false) throw new Error(`Could not fetch fixtures from ${url}: ${response.status}`)
+				return response.json()
+			})
+			.then(fixtures => this.loadFixtures(fixtures, options))
+	}
+
+	/*
+	Returns fixture stubs, in the format that loadFixtures reads, for the logged requests that no endpoint serviced
+	*/
+	unmatchedFixtures() {
+		const stubs = []
+		const keys = new Set()
+		for (const request of this.requests) {
+			if (request.endpoint !== null) continue
+			const key = JSON.stringify([request.method, request.url, request.body])
+			if (keys.has(key)) continue
+			keys.add(key)
+			const stub = { method: request.method, url: request.url }
+			if (request.body !== null) stub.body = request.body
+			stub.response = { status: 200, headers: { 'Content-Type': 'application/json' }, body: null }
+			stubs.push(stub)
+		}
+		return stubs
+	}
+
+	/*
+	Add an endpoint that RealtimeChannels connect to, returns a MockRealtimeEndpoint that pushes messages to connected channels
+	*/
+	addRealtimeEndpoint(urlRegex) {
+		const endpoint = new MockRealtimeEndpoint(urlRegex)
+		this.realtimeEndpoints.push(endpoint)
+		return endpoint
+	}
+
+	/*
+	Take over RealtimeChannel.prototype._innerConnect to connect channels to realtime endpoints if possible
+	*/
+	attachToRealtimeChannel() {
+		if (this._replacedConnect !== null) return
+		this._replacedConnect = RealtimeChannel.prototype._innerConnect
+		const service = this
+		RealtimeChannel.prototype._innerConnect = function(url) {
+			for (const endpoint of service.realtimeEndpoints) {
+				if (endpoint.match(url)) {
+					return endpoint.connect()
+				}
 			}
-			return fetch(url, ...params)
+			return this._createTransport(url)
 		}
 	}
+
+	/*
+	Answer a request that the service worker forwarded with { status, statusText, headers, body }
+	or with { fallThrough: true } to let the worker fetch it, or { error } to fail it
+	*/
+	_handleServiceWorkerRequest(message, port) {
+		const url = _localURL(message.url)
+		const response = this.handle(url, { method: message.method, headers: message.headers, body: message.body })
+		if (response === null) {
+			if (this.options.fallThrough) {
+				port.postMessage({ fallThrough: true })
+			} else {
+				port.postMessage({ error: `MockService has no endpoint for ${message.method} ${url}` })
+			}
+			return
+		}
+		response
+			.then(response => {
+				return response.arrayBuffer().then(body => {
+					const headers = {}
+					response.headers.forEach((value, name) => {
+						headers[name] = value
+					})
+					port.postMessage({ status: response.status, statusText: response.statusText, headers: headers, body: body }, [
+						body
+					])
+				})
+			})
+			.catch(err => {
+				port.postMessage({ error: err.message || String(err) })
+			})
+	}
+
+	/* Returns the failure for the next request to the endpoint, or null if it should succeed */
+	_nextFailure(endpoint) {
+		if (endpoint.scriptedFailures.length > 0) {
+			return endpoint.scriptedFailures.shift() || endpoint.options.failure || this.options.failure
+		}
+		const failureRate = endpoint.options.failureRate !== null ? endpoint.options.failureRate : this.options.failureRate
+		if (failureRate <= 0 || this.options.random() >= failureRate) return null
+		return endpoint.options.failure || this.options.failure
+	}
+
+	_latencyFor(endpoint) {
+		const latency = endpoint.options.latency !== null ? endpoint.options.latency : this.options.latency
+		const jitter = endpoint.options.jitter !== null ? endpoint.options.jitter : this.options.jitter
+		return Math.max(0, latency + (this.options.random() * 2 - 1) * jitter)
+	}
 }
 
+/* The messages that MockService and static/mock-service-worker.js send each other */
+MockService.ServiceWorkerAttachMessage = 'mock-service-attach'
+MockService.ServiceWorkerDetachMessage = 'mock-service-detach'
+MockService.ServiceWorkerRequestMessage = 'mock-service-request'
+
 /*
 MockEndpoint is instantiated during the MockService.addEndpoint call, just to wrap the data and provide handy URL matching and servicing
 */
 const MockEndpoint = class {
-	constructor(urlRegex, serviceFunction) {
+	constructor(urlRegex, serviceFunction, options = {}) {
 		this.urlRegex = urlRegex
 		this.serviceFunction = serviceFunction
+		this.options = Object.assign(
+			{
+				method: null,
+				paramNames: [],
+				latency: null,
+				jitter: null,
+				failureRate: null,
+				failure: null,
+				filter: null
+			},
+			options
+		)
+		this.scriptedFailures = [] // failures (or null for the endpoint's failure) for the next requests
 	}
 	match(url) {
 		return url.match(this.urlRegex)
 	}
+	matchesMethod(method) {
+		return this.options.method === null || this.options.method.toUpperCase() === method.toUpperCase()
+	}
+	/*
+	Returns a map of param name to value from named groups and options.paramNames
+	*/
+	paramsFor(match) {
+		const params = Object.assign({}, match.groups || {})
+		this.options.paramNames.forEach((name, index) => {
+			params[name] = match[index + 1]
+		})
+		return params
+	}
+	/*
+	Make the next requests fail
+	failure is { status, body } or { network: true } and defaults to the endpoint's or service's failure
+	*/
+	failNext(count = 1, failure = null) {
+		for (let i = 0; i < count; i++) {
+			this.scriptedFailures.push(failure)
+		}
+		return this
+	}
 	service(...params) {
 		return this.serviceFunction(...params)
 	}
 }
+
+// The _innerFetch wrappers made by attachToDataObject -> { service, replacedFetch }
+const _fetchWrappers = new WeakMap()
+
+/** @return {function} the fetch that a service's wrapper falls through to, skipping that service's wrappers of superclasses */
+const _unwrappedFetch = function(service, fetch) {
+	while (_fetchWrappers.has(fetch) && _fetchWrappers.get(fetch).service === service) {
+		fetch = _fetchWrappers.get(fetch).replacedFetch
+	}
+	return fetch
+}
+
+const _wait = function(milliseconds) {
+	return new Promise(resolve => {
+		if (milliseconds > 0) {
+			setTimeout(resolve, milliseconds)
+		} else {
+			resolve()
+		}
+	})
+}
+
+/* Returns the parsed JSON of a request body, the body if it is not JSON, or null */
+const _parseBody = function(body) {
+	if (typeof body === 'undefined' || body === null) return null
+	if (typeof body !== 'string') return body
+	try {
+		return JSON.parse(body)
+	} catch (e) {
+		return body
+	}
+}
+
+const _deepEqual = function(value1, value2) {
+	if (value1 === value2) return true
+	if (value1 === null || value2 === null || typeof value1 !== 'object' || typeof value2 !== 'object') return false
+	if (Array.isArray(value1) !== Array.isArray(value2)) return false
+	const keys = Object.keys(value1)
+	if (keys.length !== Object.keys(value2).length) return false
+	return keys.every(key => Object.prototype.hasOwnProperty.call(value2, key) && _deepEqual(value1[key], value2[key]))
+}
+
+/* Returns same-origin URLs as paths, like '/api/notes/12', and other URLs as they are */
+const _localURL = function(url) {
+	if (typeof location === 'undefined' || !location.origin || url.startsWith(location.origin + '/') === false) {
+		return url
+	}
+	return url.substring(location.origin.length)
+}
+
+/*
+Returns a Promise of { url, fetchOptions } for the parameters of window.fetch
+The body of a Request is read as text
+*/
+const _readFetchInput = function(input, options) {
+	if (typeof Request === 'undefined' || input instanceof Request === false) {
+		return Promise.resolve({ url: _localURL(String(input)), fetchOptions: options })
+	}
+	const fetchOptions = Object.assign({ method: input.method, headers: input.headers }, options)
+	const url = _localURL(input.url)
+	if (typeof options.body !== 'undefined' || fetchOptions.method === 'GET' || fetchOptions.method === 'HEAD') {
+		return Promise.resolve({ url: url, fetchOptions: fetchOptions })
+	}
+	return input
+		.clone()
+		.text()
+		.then(body => {
+			fetchOptions.body = body
+			return { url: url, fetchOptions: fetchOptions }
+		})
+}
+
+/* Returns fixtures in the format that MockService.loadFixtures reads for the entries of a HAR object */
+const _fixturesFromHAR = function(har) {
+	if (!har || !har.log || Array.isArray(har.log.entries) === false) {
+		throw new Error('Fixtures must be an array or a HAR object with log.entries')
+	}
+	// The body is already decoded, so these headers would describe it wrongly
+	const skippedHeaders = ['content-encoding', 'content-length', 'transfer-encoding']
+	return har.log.entries.map(entry => {
+		const content = entry.response.content || {}
+		let responseBody = typeof content.text === 'undefined' ? null : content.text
+		if (responseBody !== null && content.encoding === 'base64') responseBody = atob(responseBody)
+		const headers = {}
+		for (const header of entry.response.headers || []) {
+			if (skippedHeaders.includes(header.name.toLowerCase())) continue
+			headers[header.name] = header.value
+		}
+		return {
+			method: entry.request.method,
+			url: entry.request.url,
+			body: entry.request.postData ? entry.request.postData.text : null,
+			response: {
+				status: entry.response.status,
+				statusText: entry.response.statusText,
+				headers: headers,
+				body: responseBody
+			}
+		}
+	})
+}
+
+/* Returns the url in lenient mode without its origin and with sorted query params, otherwise the url */
+const _fixtureURL = function(url, mode) {
+	if (mode === 'strict') return url
+	const path = url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '').split('#')[0]
+	const queryIndex = path.indexOf('?')
+	if (queryIndex === -1) return path
+	const params = path
+		.substring(queryIndex + 1)
+		.split('&')
+		.filter(param => param !== '')
+		.sort()
+	return path.substring(0, queryIndex) + (params.length === 0 ? '' : '?' + params.join('&'))
+}
+
+/* Fixture bodies may be strings or JSON data */
+const _fixtureBody = function(body) {
+	if (typeof body === 'undefined' || body === null) return null
+	return typeof body === 'string' ? body : JSON.stringify(body)
+}
+
+const _fixtureResponse = function(response) {
+	const status = response.status || 200
+	let body = _fixtureBody(response.body)
+	if (status === 204 || status === 205 || status === 304) body = null
+	return new Response(body, {
+		status: status,
+		statusText: response.statusText || '',
+		headers: response.headers || {}
+	})
+}
+
+/* Returns a map of name to value from the query string of the url */
+const _parseQuery = function(url) {
+	const query = {}
+	const queryIndex = url.indexOf('?')
+	if (queryIndex === -1) return query
+	for (const pair of url.substring(queryIndex + 1).split('&')) {
+		if (pair === '') continue
+		const [name, value = ''] = pair.split('=').map(part => decodeURIComponent(part.replace(/\+/g, ' ')))
+		query[name] = value
+	}
+	return query
+}
+
+const _jsonResponse = function(status, json, headers = {}) {
+	return new Response(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), {
+		status: status,
+		headers: Object.assign({ 'Content-Type': 'application/json' }, headers)
+	})
+}
+
+/*
+MockResource is returned by MockService.addResource and holds the records that its endpoints read and change
+*/
+const MockResource = class {
+	constructor(baseURL, seedData = [], options = {}) {
+		this.baseURL = baseURL.replace(/\/$/, '')
+		this.options = Object.assign(
+			{
+				idField: 'id',
+				generateId: null
+			},
+			options
+		)
+		this.endpoints = [] // the MockEndpoints that service this resource
+		this.reset(seedData)
+	}
+	/*
+	Replace the records with copies of the data
+	*/
+	reset(data = []) {
+		this.records = JSON.parse(JSON.stringify(data || []))
+	}
+	/*
+	Returns the record with the id, or null
+	Ids are compared as strings because ids in URLs are strings
+	*/
+	find(id) {
+		for (const record of this.records) {
+			if (String(record[this.options.idField]) === String(id)) return record
+		}
+		return null
+	}
+	list(query = {}) {
+		const pageParams = ['page', 'pageSize', 'offset', 'limit', 'cursor']
+		const filters = Object.keys(query).filter(name => pageParams.includes(name) === false)
+		const records = this.records.filter(record => {
+			return filters.every(name => String(record[name]) === query[name])
+		})
+		let start = 0
+		let end = records.length
+		if (typeof query.page !== 'undefined') {
+			const pageSize = parseInt(query.pageSize, 10) || 20
+			start = (Math.max(parseInt(query.page, 10) || 1, 1) - 1) * pageSize
+			end = start + pageSize
+		} else if (typeof query.limit !== 'undefined') {
+			start = parseInt(typeof query.offset !== 'undefined' ? query.offset : query.cursor, 10) || 0
+			end = start + (parseInt(query.limit, 10) || 20)
+		}
+		const headers = { 'X-Total-Count': String(records.length) }
+		if (end < records.length) headers['X-Next-Cursor'] = String(end)
+		return _jsonResponse(200, records.slice(start, end), headers)
+	}
+	get(id) {
+		const record = this.find(id)
+		if (record === null) return _jsonResponse(404, { message: `No record with id ${id}` })
+		return _jsonResponse(200, record)
+	}
+	create(data) {
+		if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+			return _jsonResponse(400, { message: 'The request body must be a JSON object' })
+		}
+		const record = Object.assign({}, data)
+		const idField = this.options.idField
+		if (typeof record[idField] === 'undefined' || record[idField] === null) {
+			record[idField] = this._generateId()
+		} else if (this.find(record[idField]) !== null) {
+			return _jsonResponse(409, { message: `A record with id ${record[idField]} already exists` })
+		}
+		this.records.push(record)
+		return _jsonResponse(201, record, { Location: `${this.baseURL}/${encodeURIComponent(record[idField])}` })
+	}
+	/*
+	Replace the record's fields, keeping its id
+	*/
+	update(id, data) {
+		const record = this.find(id)
+		if (record === null) return _jsonResponse(404, { message: `No record with id ${id}` })
+		if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+			return _jsonResponse(400, { message: 'The request body must be a JSON object' })
+		}
+		const recordId = record[this.options.idField]
+		for (const field of Object.keys(record)) delete record[field]
+		Object.assign(record, data, { [this.options.idField]: recordId })
+		return _jsonResponse(200, record)
+	}
+	/*
+	Change only the fields in the data
+	*/
+	patch(id, data) {
+		const record = this.find(id)
+		if (record === null) return _jsonResponse(404, { message: `No record with id ${id}` })
+		if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+			return _jsonResponse(400, { message: 'The request body must be a JSON object' })
+		}
+		Object.assign(record, data, { [this.options.idField]: record[this.options.idField] })
+		return _jsonResponse(200, record)
+	}
+	delete(id) {
+		const record = this.find(id)
+		if (record === null) return _jsonResponse(404, { message: `No record with id ${id}` })
+		this.records.splice(this.records.indexOf(record), 1)
+		return new Response(null, { status: 204 })
+	}
+	_generateId() {
+		if (typeof this.options.generateId === 'function') return this.options.generateId(this.records)
+		// One more than the largest numeric id
+		return (
+			this.records.reduce((maxId, record) => {
+				const id = record[this.options.idField]
+				return typeof id === 'number' && id > maxId ? id : maxId
+			}, 0) + 1
+		)
+	}
+}
+
+/*
+MockRealtimeEndpoint is returned by MockService.addRealtimeEndpoint and stands in for a WebSocket or EventSource server
+*/
+const MockRealtimeEndpoint = class {
+	constructor(urlRegex) {
+		this.urlRegex = urlRegex
+		this.connections = []
+		this.receivedMessages = [] // messages sent by channels
+		this.messageHandler = null
+	}
+	match(url) {
+		return url.match(this.urlRegex)
+	}
+	/*
+	Send a message to every connected channel
+	Objects are sent as JSON
+	*/
+	push(message) {
+		const data = typeof message === 'string' ? message : JSON.stringify(message)
+		for (const connection of this.connections.slice()) {
+			connection.receive(data)
+		}
+	}
+	/*
+	Set a function that receives the messages sent by channels and the connection that sent them
+	*/
+	onMessage(messageHandler) {
+		this.messageHandler = messageHandler
+	}
+	/*
+	Drop every connection, as if the server went away
+	*/
+	disconnectAll() {
+		for (const connection of this.connections.slice()) {
+			connection.close()
+		}
+	}
+	connect() {
+		const connection = new MockRealtimeConnection(this)
+		this.connections.push(connection)
+		return connection
+	}
+}
+
+/*
+MockRealtimeConnection has the parts of the WebSocket API that RealtimeChannel uses
+*/
+const MockRealtimeConnection = class {
+	constructor(endpoint) {
+		this.endpoint = endpoint
+		this.readyState = MockRealtimeConnection.CONNECTING
+		this.onopen = null
+		this.onmessage = null
+		this.onerror = null
+		this.onclose = null
+		// Like a socket, open after the caller has set its handlers
+		Promise.resolve().then(() => {
+			if (this.readyState !== MockRealtimeConnection.CONNECTING) return
+			this.readyState = MockRealtimeConnection.OPEN
+			if (this.onopen) this.onopen({ type: 'open' })
+		})
+	}
+	send(data) {
+		if (this.readyState !== MockRealtimeConnection.OPEN) throw new Error('The connection is not open')
+		this.endpoint.receivedMessages.push(data)
+		if (this.endpoint.messageHandler !== null) this.endpoint.messageHandler(data, this)
+	}
+	receive(data) {
+		if (this.readyState !== MockRealtimeConnection.OPEN) return
+		if (this.onmessage) this.onmessage({ type: 'message', data: data })
+	}
+	close() {
+		if (this.readyState === MockRealtimeConnection.CLOSED) return
+		this.readyState = MockRealtimeConnection.CLOSED
+		this.endpoint.connections.splice(this.endpoint.connections.indexOf(this), 1)
+		if (this.onclose) this.onclose({ type: 'close' })
+	}
+}
+
+MockRealtimeConnection.CONNECTING = 0
+MockRealtimeConnection.OPEN = 1
+MockRealtimeConnection.CLOSED = 3
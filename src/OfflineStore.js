@@ -0,0 +1,513 @@
+import DataObject from './DataObject.js'
+import DataCollection from './DataCollection.js'
+import EventHandler from './EventHandler.js'
+import { NetworkError, errorForResponse } from './DataErrors.js'
+
+/**
+OfflineStore lets DataObjects keep working when the network goes away.
+
+	const offlineStore = new OfflineStore() // IndexedDB if the browser has it, otherwise in memory
+	offlineStore.attachToDataObject()
+
+Like {@link MockService} it takes over DataObject._innerFetch, so attach it after any MockService.
+Pass a DataObject to `attachToDataObject` to attach to just that instance.
+
+Successful fetches are cached, using the DataObject's options.isSuccessfulResponse, and when the browser is offline (or the fetch fails to reach the server) the cached data is served.
+
+When the browser is offline, saves, deletes, and creates are queued in storage and the DataObject gets a successful response so the UI keeps working.
+Only failures to reach the server are queued, other errors reject as usual.
+A queued save responds with the DataObject's own data and a queued create responds with the data that was posted.
+When a queued create syncs, the created DataModel is reset to the server's response so that it gets its id,
+and its own queued requests are sent to its new URL.
+While requests are queued, later changes are queued behind them so that the server receives them in order.
+The queue is replayed when the browser comes back online or when `replay` is called.
+
+Events are triggered on the OfflineStore and on the DataObject that made the request, when it is known:
+- 'sync-pending' when a request is queued
+- 'synced' with the response data when a queued request succeeds, after a DataModel is reset to that data
+- 'sync-failed' with the error when the server rejects a queued request, which is then dropped from the queue
+- 'sync-failed' on the OfflineStore with a null request and the error if the stored queue can not be loaded, after which the queue is kept in memory
+
+Storage is pluggable: pass any object with Promise returning `get(key)`, `set(key, value)`, `delete(key)`, and `keys()` in options.storage.
+OfflineStore.MemoryStorage is handy for tests.
+*/
+const OfflineStore = class extends EventHandler {
+	/**
+	@param {Object} [options={}]
+	@param {Object} [options.storage=OfflineStore.createStorage()]
+	@param {bool} [options.cacheFetches=true] if true, cache fetched data and serve it when offline
+	@param {bool} [options.queueChanges=true] if true, queue saves, deletes, and creates when offline
+	*/
+	constructor(options = {}) {
+		super()
+		this.options = Object.assign(
+			{
+				storage: null,
+				cacheFetches: true,
+				queueChanges: true
+			},
+			options
+		)
+		this._storage = this.options.storage || OfflineStore.createStorage()
+		this._replacedFetches = new Map() // DataObject or DataObject.prototype -> the _innerFetch that was replaced
+		this._queue = [] // queued requests, oldest first
+		this._queuedDataObjects = new Map() // request id -> the DataObject that made the request during this session
+		this._createdDataObjects = new Map() // request id of a collection's create -> the DataObject that it added
+		this._createdListeners = new Map() // request id of a collection's create -> { collection, listener } until it adds
+		this._requestCount = 0
+		this._replaying = null // the Promise of the current replay
+		this._queueLoaded = this._storage.get(OfflineStore.QueueKey).then(
+			queue => {
+				// Requests may have been queued before the stored queue was loaded
+				this._queue = (queue || []).concat(this._queue)
+			},
+			err => {
+				// Without working storage the queue can still sync during this session
+				this._storage = new MemoryStorage()
+				this.trigger('sync-failed', this, null, err)
+			}
+		)
+
+		this._handleOnline = () => {
+			this.replay()
+		}
+		if (typeof window !== 'undefined') window.addEventListener('online', this._handleOnline)
+	}
+
+	cleanup() {
+		if (typeof window !== 'undefined') window.removeEventListener('online', this._handleOnline)
+		for (const target of Array.from(this._replacedFetches.keys())) {
+			this._detach(target)
+		}
+		super.cleanup()
+	}
+
+	/** @type {bool} false when the browser knows that it is offline */
+	get isOnline() {
+		return typeof navigator === 'undefined' || navigator.onLine !== false
+	}
+
+	/** @type {number} the number of queued requests */
+	get pendingCount() {
+		return this._queue.length
+	}
+
+	/** @type {Object[]} copies of the queued requests as { id, url, method, body, headers } */
+	get pendingRequests() {
+		return this._queue.map(request => Object.assign({}, request))
+	}
+
+	/** @return {Promise} resolves when the queue that was stored by an earlier session is loaded */
+	get ready() {
+		return this._queueLoaded
+	}
+
+	/**
+	@param {DataObject} [dataObject=null] a DataObject instance, or null to attach to every DataObject
+	*/
+	attachToDataObject(dataObject = null) {
+		const target = dataObject === null ? DataObject.prototype : dataObject
+		if (this._replacedFetches.has(target)) return
+		const replacedFetch = target._innerFetch
+		this._replacedFetches.set(target, replacedFetch)
+		const store = this
+		target._innerFetch = function(url, options = {}) {
+			return store._fetch(this, (...params) => replacedFetch.call(this, ...params), url, options)
+		}
+	}
+
+	/**
+	@param {DataObject} [dataObject=null] the DataObject instance that was passed to attachToDataObject, or null
+	*/
+	detachFromDataObject(dataObject = null) {
+		this._detach(dataObject === null ? DataObject.prototype : dataObject)
+	}
+
+	/**
+	Send the queued requests to the server, oldest first
+	Replay stops if the server can not be reached and resumes on the next call or when the browser comes online
+	@return {Promise<number>} the number of requests that are still queued
+	*/
+	replay() {
+		if (this._replaying === null) {
+			this._replaying = this._queueLoaded.then(() => this._replayNext()).then(
+				() => {
+					this._replaying = null
+					return this._queue.length
+				},
+				err => {
+					this._replaying = null
+					throw err
+				}
+			)
+		}
+		return this._replaying
+	}
+
+	_detach(target) {
+		if (this._replacedFetches.has(target) === false) return
+		if (target === DataObject.prototype) {
+			target._innerFetch = this._replacedFetches.get(target)
+		} else {
+			delete target._innerFetch // reveals the prototype's _innerFetch
+			if (target._innerFetch !== this._replacedFetches.get(target)) {
+				target._innerFetch = this._replacedFetches.get(target)
+			}
+		}
+		this._replacedFetches.delete(target)
+	}
+
+	_fetch(dataObject, networkFetch, url, options) {
+		const method = (options.method || 'get').toLowerCase()
+		if (method === 'get') {
+			if (this.options.cacheFetches === false) return networkFetch(url, options)
+			if (this.isOnline === false) return this._cachedResponse(url, null)
+			return networkFetch(url, options).then(
+				response => {
+					if (_isSuccessfulResponse(dataObject, response) === false) return response
+					return response
+						.clone()
+						.text()
+						.then(body => {
+							return this._storage.set(OfflineStore.CacheKeyPrefix + url, {
+								body: body,
+								contentType: response.headers.get('Content-Type')
+							})
+						})
+						.catch(() => {}) // a full or broken cache should not break the fetch
+						.then(() => response)
+				},
+				err => this._cachedResponse(url, err)
+			)
+		}
+		if (this.options.queueChanges === false) return networkFetch(url, options)
+		return this._queueLoaded.then(() => {
+			// Queue behind earlier requests so that the server receives changes in order
+			if (this.isOnline === false || this._queue.length > 0) {
+				return this._enqueue(dataObject, method, url, options)
+			}
+			return networkFetch(url, options).catch(err => {
+				if (_isNetworkFailure(err) === false) throw err
+				return this._enqueue(dataObject, method, url, options)
+			})
+		})
+	}
+
+	_cachedResponse(url, err) {
+		return this._storage.get(OfflineStore.CacheKeyPrefix + url).then(cached => {
+			if (cached === null) throw err || new Error(`Offline and there is no cached data for ${url}`)
+			const headers = { 'X-Offline-Cache': 'true' }
+			if (cached.contentType) headers['Content-Type'] = cached.contentType
+			return new Response(cached.body, { status: 200, headers: headers })
+		})
+	}
+
+	_enqueue(dataObject, method, url, options) {
+		this._requestCount += 1
+		const request = {
+			id: `${Date.now()}-${this._requestCount}`,
+			url: url,
+			method: method,
+			body: typeof options.body === 'string' ? options.body : null,
+			headers: _plainHeaders(options.headers),
+			credentials: options.credentials || null
+		}
+		this._queue.push(request)
+		this._queuedDataObjects.set(request.id, dataObject)
+		if (method === 'post' && dataObject instanceof DataCollection) this._watchCreate(dataObject, request)
+		return this._saveQueue().then(() => {
+			this.trigger('sync-pending', this, Object.assign({}, request), this._queue.length)
+			dataObject.trigger('sync-pending', dataObject, Object.assign({}, request))
+			// A DataModel's save responds with its own data, a collection's create responds with the posted data
+			let body = request.body || 'null'
+			if (method !== 'post' && method !== 'delete' && dataObject.data) {
+				body = JSON.stringify(dataObject.data)
+			}
+			return new Response(body, {
+				status: 200,
+				headers: { 'Content-Type': 'application/json', 'X-Sync-Queued': 'true' }
+			})
+		})
+	}
+
+	/**
+	Find the DataObject that a collection's queued create adds, so that it can be reset when the create syncs
+	*/
+	_watchCreate(collection, request) {
+		// An optimistic create has already added a pending DataObject with the posted data
+		const pendingObject = collection.dataObjects.find(dataObject => {
+			return dataObject.isPending && JSON.stringify(dataObject.data) === request.body
+		})
+		if (pendingObject) {
+			this._createdDataObjects.set(request.id, pendingObject)
+			return
+		}
+		// Otherwise the collection adds the DataObject when it reads the queued response
+		const listener = (eventName, target, dataObject) => {
+			if (target !== collection) return
+			this._forgetCreateListener(request.id)
+			this._createdDataObjects.set(request.id, dataObject)
+		}
+		this._createdListeners.set(request.id, { collection: collection, listener: listener })
+		collection.addListener(listener, 'added')
+	}
+
+	_forgetCreateListener(requestId) {
+		if (this._createdListeners.has(requestId) === false) return
+		const created = this._createdListeners.get(requestId)
+		created.collection.removeListener(created.listener, 'added')
+		this._createdListeners.delete(requestId)
+	}
+
+	_replayNext() {
+		if (this._queue.length === 0) return Promise.resolve()
+		const request = this._queue[0]
+		const dataObject = this._queuedDataObjects.has(request.id) ? this._queuedDataObjects.get(request.id) : null
+		const fetchOptions = { method: request.method }
+		if (request.body !== null) fetchOptions.body = request.body
+		if (request.headers !== null) fetchOptions.headers = request.headers
+		if (request.credentials !== null) fetchOptions.credentials = request.credentials
+		return this._networkFetch(dataObject, request.url, fetchOptions).then(
+			response => {
+				return response.text().then(text => {
+					if (_isSuccessfulResponse(dataObject, response)) {
+						return this._dequeue(request).then(() => {
+							this._handleSynced(dataObject, request, text)
+							return this._replayNext()
+						})
+					}
+					const err = errorForResponse('Sync failed with status ' + response.status, response, text)
+					return this._dropFailed(dataObject, request, err)
+				})
+			},
+			err => {
+				// If the server can not be reached then leave the queue for the next replay
+				if (_isNetworkFailure(err)) return
+				return this._dropFailed(dataObject, request, err)
+			}
+		)
+	}
+
+	_dequeue(request) {
+		this._queue.shift()
+		this._queuedDataObjects.delete(request.id)
+		this._forgetCreateListener(request.id)
+		return this._saveQueue()
+	}
+
+	_dropFailed(dataObject, request, err) {
+		return this._dequeue(request).then(() => {
+			this._createdDataObjects.delete(request.id)
+			this.trigger('sync-failed', this, Object.assign({}, request), err)
+			if (dataObject !== null) dataObject.trigger('sync-failed', dataObject, err, request)
+			return this._replayNext()
+		})
+	}
+
+	_handleSynced(dataObject, request, text) {
+		let data = null
+		try {
+			data = text ? JSON.parse(text) : null
+		} catch (e) {
+			data = null
+		}
+		if (dataObject !== null && dataObject.cleanedUp === false) {
+			const laterRequest = Array.from(this._queuedDataObjects.values()).includes(dataObject)
+			// Only reset a saved DataModel after its last queued save, so that it does not jump back to older data
+			if (
+				data !== null &&
+				request.method !== 'post' &&
+				request.method !== 'delete' &&
+				dataObject.data &&
+				!laterRequest
+			) {
+				data = dataObject.parse(data)
+				dataObject.reset(data)
+				dataObject._new = false
+				dataObject.resetChangeTracking()
+			}
+		}
+		if (request.method === 'post') this._handleCreated(dataObject, request, data)
+		this.trigger('synced', this, Object.assign({}, request), data)
+		if (dataObject !== null) dataObject.trigger('synced', dataObject, data, request)
+	}
+
+	/**
+	Give a created DataModel the server's data, including its id, and point its queued requests at its new URL
+	*/
+	_handleCreated(dataObject, request, data) {
+		let created = dataObject
+		if (dataObject instanceof DataCollection) {
+			created = this._createdDataObjects.has(request.id) ? this._createdDataObjects.get(request.id) : null
+			this._createdDataObjects.delete(request.id)
+			if (data !== null) data = dataObject.parseCreated(data)
+		}
+		if (created === null || created.cleanedUp || data === null || !created.data) return
+		data = created.parse(data)
+		const laterRequests = this._queue.filter(queued => this._queuedDataObjects.get(queued.id) === created)
+		if (laterRequests.length === 0) {
+			created.reset(data)
+			created._new = false
+			created.resetChangeTracking()
+			return
+		}
+		// Keep the changes that are still queued and only take the id
+		if (typeof data.id === 'undefined') return
+		created.set('id', data.id)
+		for (const queued of laterRequests) {
+			queued.url = created.url
+			queued.body = _replaceBodyId(queued.body, data.id)
+		}
+		this._saveQueue().catch(() => {})
+	}
+
+	/** @return {Promise<Response>} from the fetch that this store replaced, or window.fetch */
+	_networkFetch(dataObject, url, options) {
+		if (dataObject !== null && this._replacedFetches.has(dataObject)) {
+			return this._replacedFetches.get(dataObject).call(dataObject, url, options)
+		}
+		if (this._replacedFetches.has(DataObject.prototype)) {
+			return this._replacedFetches.get(DataObject.prototype).call(dataObject, url, options)
+		}
+		return fetch(url, options)
+	}
+
+	_saveQueue() {
+		return this._storage.set(OfflineStore.QueueKey, this._queue)
+	}
+}
+
+OfflineStore.QueueKey = 'sync-queue'
+OfflineStore.CacheKeyPrefix = 'fetch:'
+
+/**
+@return {Object} IndexedDB storage if the browser has it, otherwise memory storage
+*/
+OfflineStore.createStorage = function() {
+	if (typeof indexedDB !== 'undefined') return new IndexedDBStorage()
+	return new MemoryStorage()
+}
+
+/**
+MemoryStorage holds copies of values in memory, so it is lost on reload
+*/
+const MemoryStorage = class {
+	constructor() {
+		this._values = new Map()
+	}
+	get(key) {
+		return Promise.resolve(this._values.has(key) ? JSON.parse(this._values.get(key)) : null)
+	}
+	set(key, value) {
+		this._values.set(key, JSON.stringify(value))
+		return Promise.resolve()
+	}
+	delete(key) {
+		this._values.delete(key)
+		return Promise.resolve()
+	}
+	keys() {
+		return Promise.resolve(Array.from(this._values.keys()))
+	}
+}
+
+/**
+IndexedDBStorage holds values in an IndexedDB object store
+*/
+const IndexedDBStorage = class {
+	constructor(databaseName = 'potassium-offline-store', storeName = 'records') {
+		this.databaseName = databaseName
+		this.storeName = storeName
+		this._database = null // a Promise
+	}
+	get(key) {
+		return this._request('readonly', store => store.get(key)).then(
+			value => (typeof value === 'undefined' ? null : value)
+		)
+	}
+	set(key, value) {
+		return this._request('readwrite', store => store.put(value, key)).then(() => {})
+	}
+	delete(key) {
+		return this._request('readwrite', store => store.delete(key)).then(() => {})
+	}
+	keys() {
+		return this._request('readonly', store => store.getAllKeys())
+	}
+	_open() {
+		if (this._database === null) {
+			this._database = new Promise((resolve, reject) => {
+				const request = indexedDB.open(this.databaseName, 1)
+				request.onupgradeneeded = () => {
+					request.result.createObjectStore(this.storeName)
+				}
+				request.onsuccess = () => {
+					resolve(request.result)
+				}
+				request.onerror = () => {
+					reject(request.error)
+				}
+			})
+		}
+		return this._database
+	}
+	_request(mode, func) {
+		return this._open().then(database => {
+			return new Promise((resolve, reject) => {
+				const request = func(database.transaction(this.storeName, mode).objectStore(this.storeName))
+				request.onsuccess = () => {
+					resolve(request.result)
+				}
+				request.onerror = () => {
+					reject(request.error)
+				}
+			})
+		})
+	}
+}
+
+OfflineStore.MemoryStorage = MemoryStorage
+OfflineStore.IndexedDBStorage = IndexedDBStorage
+
+/** @return {Object?} fetch headers as a plain object so that they can be stored */
+const _plainHeaders = function(headers) {
+	if (!headers) return null
+	const plainHeaders = {}
+	if (typeof Headers !== 'undefined' && headers instanceof Headers) {
+		headers.forEach((value, name) => {
+			plainHeaders[name] = value
+		})
+	} else {
+		Object.assign(plainHeaders, headers)
+	}
+	return plainHeaders
+}
+
+/** @return {bool} true if the error means that the server could not be reached, rather than that it refused the request */
+const _isNetworkFailure = function(err) {
+	// fetch rejects with a TypeError when the network fails
+	return err instanceof TypeError || err instanceof NetworkError
+}
+
+/** @return {bool} true if the DataObject, or DataObject.isSuccessfulResponse when it is not known, accepts the response */
+const _isSuccessfulResponse = function(dataObject, response) {
+	if (dataObject === null) return DataObject.isSuccessfulResponse(response)
+	return dataObject.options.isSuccessfulResponse(response)
+}
+
+/** @return {string?} the JSON body with its id replaced, or the body unchanged if it has no id */
+const _replaceBodyId = function(body, id) {
+	if (body === null) return body
+	let data = null
+	try {
+		data = JSON.parse(body)
+	} catch (e) {
+		return body
+	}
+	if (data === null || typeof data !== 'object' || Object.prototype.hasOwnProperty.call(data, 'id') === false)
+		return body
+	data.id = id
+	return JSON.stringify(data)
+}
+
+export default OfflineStore
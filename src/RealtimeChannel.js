@@ -0,0 +1,296 @@
+import DataModel from './DataModel.js'
+import EventHandler from './EventHandler.js'
+import DataCollection from './DataCollection.js'
+
+/**
+RealtimeChannel receives server pushes over a WebSocket or an EventSource and applies them to DataModels and DataCollections.
+
+	const channel = new RealtimeChannel('wss://example.com/updates') // or { transport: 'eventsource' }
+	channel.track(notesCollection) // routed by notesCollection.url
+	channel.track(settingsModel, 'settings') // routed by a key
+	channel.connect()
+
+Messages are JSON like:
+
+	{ type: 'set', url: '/api/notes/12', data: { title: 'New title' } } // setBatch on the model with that url
+	{ type: 'set', id: 12, data: { title: 'New title' } } // setBatch on the tracked model, or a model in a tracked collection, with that id
+	{ type: 'add', url: '/api/notes/', data: { id: 13, title: 'Another' } } // add to the collection, or setBatch if it already has id 13
+	{ type: 'remove', url: '/api/notes/', id: 13 } // remove from the collection
+	{ type: 'reset', url: '/api/notes/', data: [...] } // reset the model or collection
+
+Extending classes can override `parseMessage` to read other message formats.
+WebSocket channels can also `send` messages, while EventSource channels are receive-only.
+
+{@link MockService} can stand in for the server with `addRealtimeEndpoint`, in which case no socket is opened.
+*/
+const RealtimeChannel = class extends EventHandler {
+	/**
+	@param {string} url
+	@param {Object} [options={}]
+	@param {string} [options.transport=RealtimeChannel.WEBSOCKET_TRANSPORT] RealtimeChannel.WEBSOCKET_TRANSPORT or RealtimeChannel.EVENTSOURCE_TRANSPORT
+	@param {number} [options.reconnectDelay=2000] milliseconds to wait before reconnecting after the connection drops, or null to stay disconnected
+	@param {bool} [options.withCredentials=false] passed to EventSource
+	@param {string[]} [options.protocols=[]] passed to WebSocket
+	*/
+	constructor(url, options = {}) {
+		super()
+		this.url = url
+		this.options = Object.assign(
+			{
+				transport: RealtimeChannel.WEBSOCKET_TRANSPORT,
+				reconnectDelay: 2000,
+				withCredentials: false,
+				protocols: []
+			},
+			options
+		)
+		this._transport = null // a WebSocket, EventSource, or anything with their onopen, onmessage, onerror, onclose, send, and close
+		this._connected = false
+		this._shouldConnect = false
+		this._reconnectTimeout = null
+		this._tracked = [] // { dataObject, key }
+	}
+
+	cleanup() {
+		this.disconnect()
+		this._tracked.length = 0
+		super.cleanup()
+	}
+
+	/** @type {bool} */
+	get isConnected() {
+		return this._connected
+	}
+
+	/**
+	Route messages to a DataModel or DataCollection
+	@param {DataModel|DataCollection} dataObject
+	@param {string} [key=null] matched against the url of messages, defaults to dataObject.url
+	*/
+	track(dataObject, key = null) {
+		if (key === null) {
+			try {
+				key = dataObject.url
+			} catch (e) {
+				key = null // DataObjects without a url can still be found by id
+			}
+		}
+		this.untrack(dataObject)
+		this._tracked.push({ dataObject: dataObject, key: key })
+	}
+
+	/** @param {DataModel|DataCollection} dataObject */
+	untrack(dataObject) {
+		this._tracked = this._tracked.filter(tracked => tracked.dataObject !== dataObject)
+	}
+
+	connect() {
+		this._shouldConnect = true
+		if (this._transport !== null) return
+		this._transport = this._innerConnect(this.url)
+		this._transport.onopen = () => {
+			this._connected = true
+			this.trigger(RealtimeChannel.ConnectedEvent, this)
+		}
+		this._transport.onmessage = event => {
+			this.receive(event.data)
+		}
+		this._transport.onerror = event => {
+			const transport = this._transport
+			this.trigger(RealtimeChannel.ErrorEvent, this, event)
+			// EventSource has no onclose, so an error that leaves it closed means that it will not reconnect by itself
+			if (
+				this.options.transport === RealtimeChannel.EVENTSOURCE_TRANSPORT &&
+				transport === this._transport &&
+				transport.readyState === _eventSourceClosed
+			) {
+				this._handleClose()
+			}
+		}
+		this._transport.onclose = () => {
+			this._handleClose()
+		}
+	}
+
+	disconnect() {
+		this._shouldConnect = false
+		if (this._reconnectTimeout !== null) {
+			clearTimeout(this._reconnectTimeout)
+			this._reconnectTimeout = null
+		}
+		if (this._transport === null) return
+		const transport = this._transport
+		this._handleClose()
+		transport.close()
+	}
+
+	/**
+	Send a message to the server, if the transport allows it
+	@param {Object|string} message objects are sent as JSON
+	*/
+	send(message) {
+		if (this._connected === false) throw new Error('RealtimeChannel is not connected')
+		if (typeof this._transport.send !== 'function') throw new Error('EventSource channels are receive-only')
+		this._transport.send(typeof message === 'string' ? message : JSON.stringify(message))
+	}
+
+	/**
+	Handle a message as if it came from the server
+	@param {string|Object} rawMessage
+	@return {bool} true if the message was applied to a tracked DataObject
+	*/
+	receive(rawMessage) {
+		let message = null
+		try {
+			message = this.parseMessage(rawMessage)
+		} catch (e) {
+			this.trigger(RealtimeChannel.ErrorEvent, this, e)
+			return false
+		}
+		if (message === null) return false
+		this.trigger(RealtimeChannel.MessageEvent, this, message)
+		let applied = false
+		try {
+			applied = this._apply(message)
+		} catch (e) {
+			// For example, a reset message for a read-only DataCollectionView
+			this.trigger(RealtimeChannel.ErrorEvent, this, e)
+			return false
+		}
+		if (applied === false) {
+			this.trigger(RealtimeChannel.UnroutedMessageEvent, this, message)
+		}
+		return applied
+	}
+
+	/**
+	Extending classes can override this to read other message formats
+	@param {string|Object} rawMessage
+	@return {Object?} a message like { type, url, id, data } or null to ignore the raw message
+	*/
+	parseMessage(rawMessage) {
+		return typeof rawMessage === 'string' ? JSON.parse(rawMessage) : rawMessage
+	}
+
+	/**
+	Use this to override the creation of transports
+	For example, MockService overrides this to connect channels to its realtime endpoints
+	*/
+	_innerConnect(url) {
+		return this._createTransport(url)
+	}
+
+	_createTransport(url) {
+		switch (this.options.transport) {
+			case RealtimeChannel.WEBSOCKET_TRANSPORT:
+				return new WebSocket(url, this.options.protocols)
+			case RealtimeChannel.EVENTSOURCE_TRANSPORT:
+				return new EventSource(url, { withCredentials: this.options.withCredentials })
+			default:
+				throw new Error(`Unknown transport: ${this.options.transport}`)
+		}
+	}
+
+	_handleClose() {
+		if (this._transport === null) return
+		this._transport.onopen = null
+		this._transport.onmessage = null
+		this._transport.onerror = null
+		this._transport.onclose = null
+		this._transport = null
+		const wasConnected = this._connected
+		this._connected = false
+		if (wasConnected) {
+			this.trigger(RealtimeChannel.DisconnectedEvent, this)
+		}
+		if (this._shouldConnect && this.options.reconnectDelay !== null) {
+			this._reconnectTimeout = setTimeout(() => {
+				this._reconnectTimeout = null
+				if (this._shouldConnect) this.connect()
+			}, this.options.reconnectDelay)
+		}
+	}
+
+	/** @return {bool} true if the message was applied */
+	_apply(message) {
+		switch (message.type) {
+			case 'set': {
+				const model = this._findModel(message)
+				if (model === null) return false
+				model.setBatch(message.data || {})
+				return true
+			}
+			case 'add': {
+				const collection = this._findByKey(message.url, DataCollection)
+				if (collection === null) return false
+				const id = message.data && typeof message.data.id !== 'undefined' ? message.data.id : null
+				const existingModel = id === null ? null : collection.firstByField('id', id)
+				if (existingModel !== null) {
+					existingModel.setBatch(message.data)
+				} else {
+					collection.add(collection.generateDataObject(message.data))
+				}
+				return true
+			}
+			case 'remove': {
+				const collection = this._findByKey(message.url, DataCollection)
+				if (collection !== null) {
+					const model = collection.firstByField('id', message.id)
+					if (model === null) return false
+					collection.remove(model)
+					return true
+				}
+				return false
+			}
+			case 'reset': {
+				const dataObject = this._findByKey(message.url, null)
+				if (dataObject === null) return false
+				dataObject.reset(message.data)
+				return true
+			}
+			default:
+				return false
+		}
+	}
+
+	_findByKey(key, dataObjectClass) {
+		if (typeof key === 'undefined' || key === null) return null
+		for (const tracked of this._tracked) {
+			if (tracked.key !== key) continue
+			if (dataObjectClass !== null && tracked.dataObject instanceof dataObjectClass === false) continue
+			return tracked.dataObject
+		}
+		return null
+	}
+
+	_findModel(message) {
+		const model = this._findByKey(message.url, DataModel)
+		if (model !== null) return model
+		if (typeof message.id === 'undefined' || message.id === null) return null
+		for (const tracked of this._tracked) {
+			if (tracked.dataObject instanceof DataModel && tracked.dataObject.get('id') === message.id) {
+				return tracked.dataObject
+			}
+		}
+		for (const tracked of this._tracked) {
+			if (tracked.dataObject instanceof DataCollection) {
+				const collectionModel = tracked.dataObject.firstByField('id', message.id)
+				if (collectionModel !== null) return collectionModel
+			}
+		}
+		return null
+	}
+}
+
+RealtimeChannel.WEBSOCKET_TRANSPORT = 'websocket'
+RealtimeChannel.EVENTSOURCE_TRANSPORT = 'eventsource'
+
+RealtimeChannel.ConnectedEvent = 'realtime-connected'
+RealtimeChannel.DisconnectedEvent = 'realtime-disconnected'
+RealtimeChannel.MessageEvent = 'realtime-message'
+RealtimeChannel.UnroutedMessageEvent = 'realtime-unrouted-message'
+RealtimeChannel.ErrorEvent = 'realtime-error'
+
+export default RealtimeChannel
+
+const _eventSourceClosed = 2 // EventSource.CLOSED, which is not defined outside of browsers
@@ -0,0 +1,134 @@
+import Router from './Router.js'
+import Component from './Component.js'
+
+/**
+RouteOutlet is a {@link Component} that shows one child Component for the current route.
+
+Instead of listening for route events and then swapping Components by hand, map route event names to Component classes:
+
+	this._outlet = new RouteOutlet(null, { router: app.router }).appendTo(this)
+	this._outlet.mapRoute('blog', BlogComponent, (path, params) => {
+		return new BlogModel({ id: params.blogId })
+	})
+	this._outlet.mapRoute('about', AboutComponent)
+
+When a mapped route event fires, the outgoing child is removed from the flatDOM, portalDOM, portalSOM, and immersiveSOM and then cleaned up.
+The incoming child is constructed with the DataObject returned by the factory and then appended.
+
+Routing again to the same route and path keeps the current child, so the child of a parent route can host its own RouteOutlet for child routes.
+*/
+const RouteOutlet = class extends Component {
+	/**
+	@param {DataObject} [dataObject=null]
+	@param {Object} [options={}]
+	@param {Router} options.router the Router whose route events are mapped to Components
+	@param {bool} [options.clearOnUnknownRoute=true] if true, remove the child Component when the Router can not match a path
+	*/
+	constructor(dataObject = null, options = {}, inheritedOptions = {}) {
+		super(
+			dataObject,
+			Object.assign(
+				{
+					router: null,
+					clearOnUnknownRoute: true
+				},
+				options
+			),
+			inheritedOptions
+		)
+		if (this.options.router instanceof Router === false) {
+			throw new Error('RouteOutlet requires a Router in options.router')
+		}
+		this.addClass('route-outlet')
+
+		this._mappings = new Map() // route event name -> { componentClass, dataObjectFactory, componentOptions }
+		this._childComponent = null
+		this._currentRouteName = null
+		this._currentPath = null
+
+		if (this.options.clearOnUnknownRoute) {
+			this.listenTo(Router.UnknownRouteEvent, this.options.router, () => {
+				this.clear()
+			})
+		}
+	}
+
+	cleanup() {
+		if (this.cleanedUp) return
+		this.clear()
+		super.cleanup()
+		this._mappings.clear()
+		return this
+	}
+
+	/** @type {Router} */
+	get router() {
+		return this.options.router
+	}
+
+	/** @type {Component?} the Component for the current route */
+	get childComponent() {
+		return this._childComponent
+	}
+
+	/**
+	@param {string} routeName the event name passed to Router.addRoute
+	@param {class} componentClass a Component class to construct when the route event fires
+	@param {function} [dataObjectFactory=null] receives the route event's parameters and returns a DataObject (or null) for the new Component
+	@param {Object} [componentOptions={}] passed to the new Component's constructor
+	@return {RouteOutlet} this, for chaining
+	*/
+	mapRoute(routeName, componentClass, dataObjectFactory = null, componentOptions = {}) {
+		if (this._mappings.has(routeName) === false) {
+			this.listenTo(routeName, this.options.router, (eventName, ...params) => {
+				this._handleRoute(eventName, ...params)
+			})
+		}
+		this._mappings.set(routeName, {
+			componentClass: componentClass,
+			dataObjectFactory: dataObjectFactory,
+			componentOptions: componentOptions
+		})
+		return this
+	}
+
+	/**
+	Remove and clean up the current child Component, if any
+	@return {RouteOutlet} this, for chaining
+	*/
+	clear() {
+		if (this._childComponent === null) return this
+		const outgoingComponent = this._childComponent
+		this._childComponent = null
+		this._currentRouteName = null
+		this._currentPath = null
+		this.removeComponent(outgoingComponent)
+		outgoingComponent.cleanup()
+		this.trigger(RouteOutlet.ChildChangedEvent, this, null, outgoingComponent)
+		return this
+	}
+
+	_handleRoute(routeName, ...params) {
+		// Regex routes and template routes both pass the matched path as the first parameter
+		const path = typeof params[0] === 'string' ? params[0] : null
+		if (this._childComponent !== null && routeName === this._currentRouteName && path === this._currentPath) return
+		const mapping = this._mappings.get(routeName)
+		const dataObject = mapping.dataObjectFactory !== null ? mapping.dataObjectFactory(...params) : null
+
+		const outgoingComponent = this._childComponent
+		if (outgoingComponent !== null) {
+			this.removeComponent(outgoingComponent)
+			outgoingComponent.cleanup()
+		}
+
+		this._childComponent = new mapping.componentClass(dataObject, mapping.componentOptions, this.inheritedOptions)
+		this._currentRouteName = routeName
+		this._currentPath = path
+		this.appendComponent(this._childComponent)
+		this.trigger(RouteOutlet.ChildChangedEvent, this, this._childComponent, outgoingComponent)
+	}
+}
+
+RouteOutlet.ChildChangedEvent = 'route-outlet-child-changed'
+
+export default RouteOutlet
@@ -1,3 +1,4 @@
+import DataObject from './DataObject.js'
 import EventHandler from './EventHandler.js'
 
 /*
@@ -17,59 +18,733 @@ import EventHandler from './EventHandler.js'
 			// `hash` would be 'blog/1123/app/abc-123'
 			// `regexMatches` would be ['1123', 'abc-123']
 		}, 'blog-app')
+
+	Router can also use clean URLs via window.history.pushState and popstate events:
+
+		let router = new Router({ mode: Router.HISTORY_MODE, root: '/app/' })
+
+		// Path templates name their parameters
+		router.addRoute('/blog/:blogId/app/:appId', 'blog-app') // matches http://<domain>/app/blog/1123/app/abc-123
+
+		router.addListener((routeName, path, params) => {
+			// `path` would be 'blog/1123/app/abc-123'
+			// `params` would be { blogId: '1123', appId: 'abc-123' }
+		}, 'blog-app')
+
+		router.navigate('/blog/1123/app/abc-123') // pushes a new history entry and routes to it
+		router.navigate('/blog/1123', { replace: true }) // replaces the current history entry
+
+	In history mode, clicks on same-origin anchors inside elements passed to `Router.interceptLinks` are routed without a page load.
+	Regex routes and path template routes may be mixed in either mode.
+
+	`addRoute` returns a Route that can be given guards, resolvers, and child routes:
+
+		router
+			.addRoute('/blog/:blogId', 'blog')
+			.beforeEnter((to, from) => {
+				// return false to cancel, a path string to redirect, or a Promise of either
+				return session.isAuthenticated ? true : '/login'
+			})
+			.beforeLeave((from, to) => {
+				return editor.isDirty === false
+			})
+			.resolve('blog', params => {
+				// DataObjects that have not been fetched are fetched before the route event fires
+				return new BlogModel({ id: params.blogId })
+			})
+			.addChild('/post/:postId', 'blog-post') // matches blog/1123/post/abc
+
+		router.addListener((routeName, path, params, resolved) => {
+			// `resolved` would be { blog: <a fetched BlogModel> }
+		}, 'blog')
+
+	When a child route matches, the parent route's event fires first (with the parent's part of the path) and then the child's event fires.
+	Child route params include the parent's params, so a parent route Component can host child route Components.
+	Routes with resolvers receive the map of resolved values as the last listener parameter.
+
+	Navigation triggers these events in addition to route events:
+	- Router.NavigationCancelledEvent when a guard returns false
+	- Router.NavigationRedirectedEvent when a guard returns a path
+	- Router.NavigationFailedEvent when a guard or resolver throws or rejects
+
+	Query strings (like blog/1123?display-mode=immersive) are not used when matching routes.
+	The display mode query parameter records the App's display mode so that deep links can open in portal or immersive mode.
+	It is carried along by `navigate` and is written by `writeDisplayMode`.
+
+	State keepers save state (like scroll offsets) when the Router leaves a history entry and restore it on back and forward navigation:
+
+		router.addStateKeeper(
+			'scroll',
+			() => {
+				return { x: window.scrollX, y: window.scrollY }
+			},
+			data => {
+				window.scrollTo(data.x, data.y)
+			}
+		)
+
+	State is also saved when the page is hidden and it is kept in sessionStorage, so a reload restores the entry's state.
 */
 const Router = class extends EventHandler {
-	constructor() {
+	/**
+	@param {Object} [options={}]
+	@param {string} [options.mode=Router.HASH_MODE] Router.HASH_MODE or Router.HISTORY_MODE
+	@param {string} [options.root='/'] in history mode, the path prefix that is removed before matching routes
+	@param {string} [options.displayModeParameter='display-mode'] the query parameter that holds the display mode
+	*/
+	constructor(options = {}) {
 		super()
+		this.options = Object.assign(
+			{
+				mode: Router.HASH_MODE,
+				root: '/',
+				displayModeParameter: 'display-mode'
+			},
+			options
+		)
+		if (this.options.root.endsWith('/') === false) {
+			this.options.root += '/'
+		}
 		this.cleanedUp = false
 		this.routes = []
+		this._currentPath = null
+		this._currentSearch = '' // the query string, including the '?', of the current path
+		this._currentMatches = [] // RouteMatches for the current path, parents before children
+		this._navigationCount = 0 // used to abandon navigations that are superseded while waiting on guards or resolvers
+		this._ignoredHash = null // set while restoring the hash after a cancelled navigation
+		this._stateKeepers = new Map() // name -> { save, restore }
+		this._entryStates = _loadEntryStates() // history entry key -> { name: saved data }
+		this._currentEntryKey = null // the key stored in window.history.state for the current entry
 		this.hashListener = this._checkHash.bind(this)
-		window.addEventListener('hashchange', this.hashListener, false)
+		this.popStateListener = this._checkPath.bind(this)
+		this.linkClickListener = this._handleLinkClick.bind(this)
+		this.pageHideListener = this._saveEntryState.bind(this)
+		this._linkContainers = []
+		window.addEventListener('pagehide', this.pageHideListener, false)
+		if (this.usesHistory) {
+			window.addEventListener('popstate', this.popStateListener, false)
+		} else {
+			window.addEventListener('hashchange', this.hashListener, false)
+		}
 	}
 	cleanup() {
 		if (this.cleanedUp) return
 		this.cleanedUp = true
 		window.removeEventListener('hashchange', this.hashListener)
+		window.removeEventListener('popstate', this.popStateListener)
+		window.removeEventListener('pagehide', this.pageHideListener)
+		for (const container of this._linkContainers) {
+			container.removeEventListener('click', this.linkClickListener)
+		}
+		this._linkContainers.length = 0
 		super.cleanup()
 	}
-	addRoute(regex, eventName, ...parameters) {
-		this.routes.push(new Route(regex, eventName, ...parameters))
+	/** @type {bool} true if this Router uses pushState and popstate instead of hashchange */
+	get usesHistory() {
+		return this.options.mode === Router.HISTORY_MODE
+	}
+	/**
+	@param {RegExp|string} regexOrTemplate a RegExp or a path template like '/blog/:blogId'
+	@param {string} eventName
+	@param {...*} parameters passed to listeners after the matched values
+	@return {Route}
+	*/
+	addRoute(regexOrTemplate, eventName, ...parameters) {
+		const route = new Route(regexOrTemplate, eventName, ...parameters)
+		route.router = this
+		this.routes.push(route)
+		this.trigger(Router.RouteAddedEvent, route)
+		return route
+	}
+	/** @type {string?} the path of the most recently completed navigation */
+	get currentPath() {
+		return this._currentPath
+	}
+	/** @type {RouteMatch?} the most specific match for the current path */
+	get currentMatch() {
+		return this._currentMatches.length > 0 ? this._currentMatches[this._currentMatches.length - 1] : null
+	}
+	/** @type {URLSearchParams} the query parameters of the current location */
+	get query() {
+		return new URLSearchParams(Router.splitQuery(this._locationPath())[1])
+	}
+	/** @type {string?} the display mode in the current location's query, like 'portal' or 'immersive' */
+	get requestedDisplayMode() {
+		return this.query.get(this.options.displayModeParameter)
+	}
+	/**
+	Record the display mode in the current location's query without routing or adding a history entry
+	@param {string?} mode a display mode like 'immersive', or null to remove the query parameter
+	*/
+	writeDisplayMode(mode) {
+		const [path, search] = Router.splitQuery(this._locationPath())
+		const params = new URLSearchParams(search)
+		if (mode === null) {
+			params.delete(this.options.displayModeParameter)
+		} else {
+			params.set(this.options.displayModeParameter, mode)
+		}
+		const newSearch = Router.formatQuery(params)
+		if (newSearch === search) return
+		if (path === this._currentPath) {
+			this._currentSearch = newSearch
+		}
+		if (this.usesHistory) {
+			window.history.replaceState(
+				window.history.state,
+				'',
+				document.location.pathname + newSearch + document.location.hash
+			)
+		} else {
+			this._ignoredHash = path + newSearch
+			document.location.replace('#' + path + newSearch)
+		}
+	}
+	/**
+	Add functions that save and restore state for each history entry
+	@param {string} name
+	@param {function(): *} saveFunction called when leaving a history entry
+	@param {function(data: *)} restoreFunction called with the saved data after routing back or forward to a history entry
+	*/
+	addStateKeeper(name, saveFunction, restoreFunction) {
+		this._stateKeepers.set(name, {
+			save: saveFunction,
+			restore: restoreFunction
+		})
 	}
 	start() {
-		this._checkHash()
+		this.trigger(Router.StartedRoutingEvent, this)
+		if (this.usesHistory) {
+			this._checkPath()
+		} else {
+			this._checkHash()
+		}
+	}
+	/**
+	Change the current location and route to it
+	The current display mode query parameter is added to the path if the path's query does not already have one
+	@param {string} path like '/blog/1123' (history mode) or 'blog/1123' (either mode), optionally with a query
+	@param {Object} [options={}]
+	@param {bool} [options.replace=false] if true then replace the current history entry instead of pushing a new one
+	*/
+	navigate(path, options = {}) {
+		const [routePath, search] = Router.splitQuery(Router.normalizePath(path))
+		const params = new URLSearchParams(search)
+		const displayMode = this.requestedDisplayMode
+		if (displayMode !== null && params.has(this.options.displayModeParameter) === false) {
+			params.set(this.options.displayModeParameter, displayMode)
+		}
+		path = routePath + Router.formatQuery(params)
+		if (this.usesHistory) {
+			// The history entry is written once guards and resolvers have passed
+			this._handleNewPath(path, { replace: options.replace === true })
+		} else {
+			// Changing the hash triggers a hashchange event that routes to the new path
+			if (options.replace) {
+				document.location.replace('#' + path)
+			} else {
+				document.location.hash = path
+			}
+		}
+	}
+	/**
+	Route clicks on anchors inside the container instead of letting the browser load a new page
+	This only has an effect in history mode because hash mode anchors are already handled by the browser
+	@param {HTMLElement} container
+	*/
+	interceptLinks(container) {
+		if (this._linkContainers.includes(container)) return
+		this._linkContainers.push(container)
+		container.addEventListener('click', this.linkClickListener)
+	}
+	_handleLinkClick(event) {
+		if (this.usesHistory === false) return
+		if (event.defaultPrevented || event.button !== 0) return
+		if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return
+		const anchor = event.target.closest ? event.target.closest('a') : null
+		if (anchor === null || anchor.hasAttribute('download')) return
+		if (anchor.target && anchor.target !== '_self') return
+		if (anchor.origin !== document.location.origin) return
+		if (anchor.pathname.startsWith(this.options.root) === false) return
+		event.preventDefault()
+		this.navigate(anchor.pathname.slice(this.options.root.length) + anchor.search)
+	}
+	/**
+	@return {string} the routable part of the current location, including the query
+	*/
+	_locationPath() {
+		if (this.usesHistory === false) {
+			return document.location.hash.slice(1)
+		}
+		const pathname = document.location.pathname
+		if (pathname.startsWith(this.options.root)) {
+			return pathname.slice(this.options.root.length) + document.location.search
+		}
+		return Router.normalizePath(pathname) + document.location.search
 	}
 	_checkHash() {
-		this._handleNewPath(document.location.hash.slice(1))
+		const hash = document.location.hash.slice(1)
+		if (this._ignoredHash !== null && this._ignoredHash === hash) {
+			this._ignoredHash = null
+			// Replacing the hash also replaced the entry's state
+			if (this._currentEntryKey !== null) {
+				window.history.replaceState(this._historyState(this._currentEntryKey), '')
+			}
+			return
+		}
+		this._handleNewPath(hash)
 	}
-	_handleNewPath(path) {
-		for (const route of this.routes) {
-			const matches = route.matches(path)
-			if (matches == null) {
-				continue
+	_checkPath() {
+		this._handleNewPath(this._locationPath())
+	}
+	/**
+	Run the navigation lifecycle for a path: leave guards, enter guards, resolvers, and then route events
+	This is synchronous unless a guard or resolver returns a Promise
+	@param {string} path which may include a query, though the query is not used to match routes
+	@param {Object} [historyOptions=null] in history mode, if not null the history entry is written when the navigation completes
+	@param {bool} [historyOptions.replace=false]
+	*/
+	_handleNewPath(path, historyOptions = null) {
+		const navigationId = ++this._navigationCount
+		const isCurrent = () => navigationId === this._navigationCount && this.cleanedUp === false
+		const [routePath, search] = Router.splitQuery(path)
+		path = routePath
+		const matches = this._matchPath(path)
+		if (matches === null) {
+			this._completeNavigation(path, search, [], historyOptions)
+			this.trigger(Router.UnknownRouteEvent, path)
+			if (historyOptions === null) this._restoreEntryState()
+			return
+		}
+		const from = this.currentMatch
+		const to = matches[matches.length - 1]
+		const guards = []
+		for (const match of this._currentMatches) {
+			if (matches.some(newMatch => newMatch.route === match.route)) continue
+			for (const guard of match.route.leaveGuards) {
+				guards.push(() => guard(match, to))
+			}
+		}
+		for (const match of matches) {
+			for (const guard of match.route.enterGuards) {
+				guards.push(() => guard(match, from))
+			}
+		}
+		const fail = err => {
+			if (isCurrent() === false) return
+			this._restoreCurrentPath(historyOptions)
+			this.trigger(Router.NavigationFailedEvent, path, err)
+		}
+		const proceed = result => {
+			if (isCurrent() === false) return
+			if (result === false) {
+				this._restoreCurrentPath(historyOptions)
+				this.trigger(Router.NavigationCancelledEvent, path, to, from)
+				return
+			}
+			if (typeof result === 'string') {
+				this.trigger(Router.NavigationRedirectedEvent, path, result)
+				this.navigate(result, { replace: historyOptions === null || historyOptions.replace === true })
+				return
 			}
-			this.trigger(route.eventName, ...matches, ...route.parameters)
+			_then(
+				this._resolve(matches),
+				() => {
+					if (isCurrent() === false) return
+					this._completeNavigation(path, search, matches, historyOptions)
+					for (const match of matches) {
+						this.trigger(match.route.eventName, ...match.eventParameters)
+					}
+					// Navigations without historyOptions come from popstate, hashchange, or start
+					if (historyOptions === null) this._restoreEntryState()
+				},
+				fail
+			)
+		}
+		let guarded = null
+		try {
+			guarded = _runGuards(guards)
+		} catch (err) {
+			fail(err)
 			return
 		}
-		this.trigger(Router.UnknownRouteEvent, path)
+		_then(guarded, proceed, fail)
+	}
+	_completeNavigation(path, search, matches, historyOptions) {
+		// The previous entry's state is saved before the route events change the page
+		this._saveEntryState()
+		if (this.usesHistory && historyOptions !== null) {
+			const state = { [Router.HistoryStateKey]: _createEntryKey() }
+			if (historyOptions.replace) {
+				window.history.replaceState(state, '', this.options.root + path + search)
+			} else {
+				window.history.pushState(state, '', this.options.root + path + search)
+			}
+		}
+		this._currentEntryKey = this._readEntryKey()
+		this._currentPath = path
+		this._currentSearch = search
+		this._currentMatches = matches
+	}
+	/**
+	@return {string} the key of the current history entry, which is created and stored in window.history.state if necessary
+	*/
+	_readEntryKey() {
+		const state = window.history.state
+		if (state && state[Router.HistoryStateKey]) return state[Router.HistoryStateKey]
+		const key = _createEntryKey()
+		window.history.replaceState(this._historyState(key), '')
+		return key
+	}
+	/**
+	@return {Object} a copy of window.history.state that holds the entry key
+	*/
+	_historyState(key) {
+		return Object.assign({}, window.history.state, { [Router.HistoryStateKey]: key })
+	}
+	_saveEntryState() {
+		if (this._currentEntryKey === null || this._stateKeepers.size === 0) return
+		const state = {}
+		for (const [name, keeper] of this._stateKeepers) {
+			state[name] = keeper.save()
+		}
+		this._entryStates.set(this._currentEntryKey, state)
+		_storeEntryStates(this._entryStates)
+	}
+	_restoreEntryState() {
+		const state = this._entryStates.get(this._currentEntryKey)
+		if (typeof state === 'undefined') return
+		for (const [name, keeper] of this._stateKeepers) {
+			if (name in state) keeper.restore(state[name])
+		}
+		this.trigger(Router.StateRestoredEvent, this._currentPath, state)
+	}
+	/**
+	Put the URL back after a navigation is cancelled or fails
+	Navigations started by `navigate` in history mode have not yet changed the URL, but popstate and hashchange have
+	Going back or forward lands on an entry that has its own key and saved state, so the current path is pushed instead of replacing it
+	*/
+	_restoreCurrentPath(historyOptions) {
+		if (this._currentPath === null || historyOptions !== null) return
+		if (this.usesHistory) {
+			window.history.pushState(
+				{ [Router.HistoryStateKey]: this._currentEntryKey },
+				'',
+				this.options.root + this._currentPath + this._currentSearch
+			)
+			return
+		}
+		this._ignoredHash = this._currentPath + this._currentSearch
+		// Hash changes from links and typed URLs make new entries without keys, which are replaced
+		const state = window.history.state
+		if (state && state[Router.HistoryStateKey]) {
+			document.location.hash = this._ignoredHash
+		} else {
+			document.location.replace('#' + this._ignoredHash)
+		}
+	}
+	/**
+	@return {RouteMatch[]?} the matches for the first route that matches, parents before children
+	*/
+	_matchPath(path) {
+		for (const route of this.routes) {
+			const matches = route.matchPath(path)
+			if (matches !== null) return matches
+		}
+		return null
+	}
+	/**
+	Call each route's resolvers and fetch any new DataObjects that they return
+	@return {Promise?} null if no route has resolvers
+	*/
+	_resolve(matches) {
+		const promises = []
+		for (const match of matches) {
+			if (match.route.resolvers.size === 0) continue
+			match.resolved = {}
+			for (const [name, resolver] of match.route.resolvers) {
+				promises.push(
+					new Promise(resolve => {
+						// Resolvers that throw reject the navigation
+						resolve(resolver(match.params, match.path, this))
+					}).then(value => {
+						if (value instanceof DataObject && value.isNew) {
+							return value.fetch().then(() => {
+								match.resolved[name] = value
+							})
+						}
+						match.resolved[name] = value
+					})
+				)
+			}
+		}
+		if (promises.length === 0) return null
+		return Promise.all(promises)
+	}
+
+	/**
+	@param {string} path
+	@return {string} the path without leading slashes, which is how routes are matched
+	*/
+	static normalizePath(path) {
+		return path.replace(/^\/+/, '')
+	}
+
+	/**
+	@param {string} path like 'blog/1123?display-mode=portal'
+	@return {string[]} the path and the query, like ['blog/1123', '?display-mode=portal']
+	*/
+	static splitQuery(path) {
+		const index = path.indexOf('?')
+		if (index === -1) return [path, '']
+		return [path.slice(0, index), path.slice(index)]
+	}
+
+	/**
+	@param {URLSearchParams} params
+	@return {string} a query string, including the '?', or '' if there are no params
+	*/
+	static formatQuery(params) {
+		const query = params.toString()
+		return query ? '?' + query : ''
 	}
 }
 
+Router.HASH_MODE = 'hash'
+Router.HISTORY_MODE = 'history'
+
 Router.RouteAddedEvent = 'route-added'
 Router.StartedRoutingEvent = 'started-routing'
 Router.UnknownRouteEvent = 'unknown-route'
+Router.NavigationCancelledEvent = 'navigation-cancelled'
+Router.NavigationRedirectedEvent = 'navigation-redirected'
+Router.NavigationFailedEvent = 'navigation-failed'
+Router.StateRestoredEvent = 'state-restored'
+
+/** The window.history.state key that holds each history entry's key for saved state */
+Router.HistoryStateKey = 'potassium-router-entry'
+
+/** The sessionStorage key that holds the saved state of every history entry, so that it survives reloads */
+Router.EntryStatesStorageKey = 'potassium-router-entry-states'
 
 export default Router
 
+/** @return {Map} the entry states that were stored in sessionStorage, or an empty Map */
+const _loadEntryStates = function() {
+	try {
+		const stored = JSON.parse(window.sessionStorage.getItem(Router.EntryStatesStorageKey))
+		return new Map(stored ? Object.entries(stored) : [])
+	} catch (e) {
+		// sessionStorage may be unavailable or hold something else
+		return new Map()
+	}
+}
+
+const _storeEntryStates = function(entryStates) {
+	const stored = {}
+	for (const [key, state] of entryStates) {
+		stored[key] = state
+	}
+	try {
+		window.sessionStorage.setItem(Router.EntryStatesStorageKey, JSON.stringify(stored))
+	} catch (e) {
+		// Without sessionStorage the states are only kept in memory
+	}
+}
+
+let _entryCount = 0
+const _createEntryKey = function() {
+	_entryCount += 1
+	return `${Date.now()}-${_entryCount}`
+}
+
+/**
+Call the callback with the value, waiting for the value to resolve if it is a Promise
+This keeps navigation synchronous when no guards or resolvers are asynchronous
+@param {function} [onRejected=undefined] called if the value is a Promise that rejects
+*/
+const _then = function(value, callback, onRejected = undefined) {
+	if (value instanceof Promise) return value.then(callback, onRejected)
+	return callback(value)
+}
+
+/**
+Run guards in order until one returns false or a redirect path
+@return {bool|string|Promise<bool|string>}
+*/
+const _runGuards = function(guards, index = 0) {
+	if (index >= guards.length) return true
+	return _then(guards[index](), result => {
+		if (result === false || typeof result === 'string') return result
+		return _runGuards(guards, index + 1)
+	})
+}
+
 /*
 	Route tracks routes for Router
+	A Route is created with either a RegExp or a path template string like '/blog/:blogId/app/:appId'
+	Child routes are matched against the part of the path after the parent's template, so the parent must use a template
 */
 const Route = class {
-	constructor(regex, eventName, ...parameters) {
-		this.regex = regex
+	constructor(regexOrTemplate, eventName, ...parameters) {
+		this.template = null
+		this.parameterNames = []
+		this.prefixRegex = null
+		if (regexOrTemplate instanceof RegExp) {
+			this.regex = regexOrTemplate
+		} else {
+			this.template = regexOrTemplate
+			this.regex = Route.compileTemplate(regexOrTemplate, this.parameterNames)
+			this.prefixRegex = Route.compileTemplate(regexOrTemplate, [], true)
+		}
 		this.eventName = eventName
 		this.parameters = parameters
+		this.router = null // set by Router.addRoute
+		this.parent = null
+		this.children = []
+		this.enterGuards = []
+		this.leaveGuards = []
+		this.resolvers = new Map() // name -> function
 	}
+	/**
+	@param {function(to: RouteMatch, from: RouteMatch?): (bool|string|Promise)} guard return false to cancel or a path to redirect
+	@return {Route} this, for chaining
+	*/
+	beforeEnter(guard) {
+		this.enterGuards.push(guard)
+		return this
+	}
+	/**
+	@param {function(from: RouteMatch, to: RouteMatch): (bool|string|Promise)} guard return false to cancel or a path to redirect
+	@return {Route} this, for chaining
+	*/
+	beforeLeave(guard) {
+		this.leaveGuards.push(guard)
+		return this
+	}
+	/**
+	@param {string} name the key for the value in the resolved map passed to route listeners
+	@param {function(params, path: string, router: Router): *} resolver may return a Promise or a DataObject to fetch
+	@return {Route} this, for chaining
+	*/
+	resolve(name, resolver) {
+		this.resolvers.set(name, resolver)
+		return this
+	}
+	/**
+	@param {string} template like '/post/:postId', relative to this route's template
+	@param {string} eventName
+	@param {...*} parameters passed to listeners after the matched values
+	@return {Route} the new child Route
+	*/
+	addChild(template, eventName, ...parameters) {
+		if (this.template === null) {
+			throw new Error('Only template routes can have child routes')
+		}
+		const child = new Route(template, eventName, ...parameters)
+		child.parent = this
+		child.router = this.router
+		this.children.push(child)
+		if (this.router !== null) {
+			this.router.trigger(Router.RouteAddedEvent, child)
+		}
+		return child
+	}
+	/**
+	@return {Array?} null if there is no match, regex matches for regex routes, or [path, namedParameters] for template routes
+	*/
 	matches(path) {
-		return path.match(this.regex)
+		const matches = path.match(this.regex)
+		if (matches === null || this.template === null) return matches
+		return [matches[0], this._namedParameters(matches)]
+	}
+	/**
+	@param {string} path
+	@param {Object} [parentParams={}] named parameters matched by ancestor routes
+	@param {string} [fullPath=path] the entire path, including the parts matched by ancestor routes
+	@return {RouteMatch[]?} matches for this route and any matching descendent, parents before children
+	*/
+	matchPath(path, parentParams = {}, fullPath = path) {
+		if (this.children.length > 0) {
+			const prefixMatches = path.match(this.prefixRegex)
+			const prefixParams = prefixMatches === null ? null : this._namedParameters(prefixMatches)
+			if (prefixParams !== null) {
+				const params = Object.assign({}, parentParams, prefixParams)
+				const remainder = Router.normalizePath(path.slice(prefixMatches[0].length))
+				for (const child of this.children) {
+					const childMatches = child.matchPath(remainder, params, fullPath)
+					if (childMatches === null) continue
+					const matchedPath = fullPath.slice(0, fullPath.length - path.length) + prefixMatches[0]
+					return [new RouteMatch(this, matchedPath, params, [matchedPath, params]), ...childMatches]
+				}
+			}
+		}
+		const matches = path.match(this.regex)
+		if (matches === null) return null
+		if (this.template === null) {
+			return [new RouteMatch(this, fullPath, matches.slice(1), [...matches])]
+		}
+		const namedParameters = this._namedParameters(matches)
+		if (namedParameters === null) return null
+		const params = Object.assign({}, parentParams, namedParameters)
+		return [new RouteMatch(this, fullPath, params, [fullPath, params])]
+	}
+	/**
+	@return {Object?} the decoded parameters, or null if a parameter is not a valid URI component
+	*/
+	_namedParameters(matches) {
+		const namedParameters = {}
+		for (let i = 0; i < this.parameterNames.length; i++) {
+			try {
+				namedParameters[this.parameterNames[i]] = decodeURIComponent(matches[i + 1])
+			} catch (e) {
+				return null // a malformed path like 'blog/%E0%A4%A' matches no route
+			}
+		}
+		return namedParameters
+	}
+
+	/**
+	@param {string} template like '/blog/:blogId'
+	@param {string[]} parameterNames receives the names of the template's parameters
+	@param {bool} [prefix=false] if true, the RegExp matches paths that start with the template
+	@return {RegExp}
+	*/
+	static compileTemplate(template, parameterNames, prefix = false) {
+		template = Router.normalizePath(template)
+		if (prefix && template === '') return /^/
+		const segments = template.split('/').map(segment => {
+			if (segment.startsWith(':')) {
+				parameterNames.push(segment.slice(1))
+				return '([^/]+)'
+			}
+			return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+		})
+		return new RegExp('^' + segments.join('\\/') + (prefix ? '(?=\\/|$)' : '$'))
+	}
+}
+
+/**
+RouteMatch holds the result of matching a path to a Route and is passed to guards
+*/
+const RouteMatch = class {
+	/**
+	@param {Route} route
+	@param {string} path the part of the path matched by the route and its ancestors
+	@param {Object|string[]} params named parameters for template routes or regex groups for regex routes
+	@param {Array} matchParameters the values passed to route listeners before the route's parameters
+	*/
+	constructor(route, path, params, matchParameters) {
+		this.route = route
+		this.path = path
+		this.params = params
+		this.matchParameters = matchParameters
+		this.resolved = null // set to a map of name -> value if the route has resolvers
+	}
+	/** @type {Array} the parameters passed to Router.trigger with the route's event name */
+	get eventParameters() {
+		const parameters = [...this.matchParameters, ...this.route.parameters]
+		if (this.resolved !== null) parameters.push(this.resolved)
+		return parameters
 	}
 }
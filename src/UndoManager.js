@@ -0,0 +1,273 @@
+import DataModel from './DataModel.js'
+import DataObject from './DataObject.js'
+import EventHandler from './EventHandler.js'
+import DataCollection from './DataCollection.js'
+
+/**
+UndoManager records changes to any number of {@link DataModel}s and {@link DataCollection}s so that they can be undone and redone.
+
+It is opt-in, so only changes to tracked DataObjects are recorded:
+
+	const undoManager = new UndoManager()
+	undoManager.track(documentModel)
+	undoManager.track(layersCollection)
+
+	documentModel.set('title', 'New title')
+	undoManager.undo() // the title is back to its previous value
+	undoManager.redo() // the title is 'New title' again
+
+	// Changes made inside a transaction are undone and redone together
+	undoManager.transaction(() => {
+		layersCollection.add(newLayer)
+		documentModel.set('selectedLayer', newLayer.get('id'))
+	})
+
+Recorded operations are DataModel `set` and `setBatch` and DataCollection `add`, `remove`, `sort`, and `reorder`.
+Changes made by `reset` (for example, by a fetch) are not recorded.
+Sorts that do not change the order are not recorded.
+A collection's `keepSortedByField` sort is undone along with the add or change that caused it,
+so it is not recorded when the change was to a DataModel that is not tracked.
+
+UndoManager triggers an UndoManager.HistoryChangedEvent when `canUndo` or `canRedo` may have changed so that toolbar Components can update.
+*/
+const UndoManager = class extends EventHandler {
+	/**
+	@param {Object} [options={}]
+	@param {number} [options.limit=100] the maximum number of undoable entries
+	*/
+	constructor(options = {}) {
+		super()
+		this.options = Object.assign(
+			{
+				limit: 100
+			},
+			options
+		)
+		this._undoStack = [] // entries, each an array of operations
+		this._redoStack = []
+		this._transaction = null // the entry being built by an open transaction
+		this._transactionDepth = 0
+		this._applying = false // true while undoing or redoing, so those changes are not recorded
+		this._trackedListeners = new Map() // DataObject -> listener
+		this._pendingSorts = [] // { cause, operation } for keepSortedByField sorts that come before the change that caused them
+	}
+
+	cleanup() {
+		for (const dataObject of Array.from(this._trackedListeners.keys())) {
+			this.untrack(dataObject)
+		}
+		this.clear()
+		super.cleanup()
+	}
+
+	/** @type {bool} */
+	get canUndo() {
+		return this._undoStack.length > 0
+	}
+
+	/** @type {bool} */
+	get canRedo() {
+		return this._redoStack.length > 0
+	}
+
+	/**
+	Start recording changes to a DataModel or DataCollection
+	@param {DataModel|DataCollection} dataObject
+	*/
+	track(dataObject) {
+		if (this._trackedListeners.has(dataObject)) return
+		const listener = (eventName, target, ...params) => {
+			// DataCollections relay the events of their members, which are only recorded if they are also tracked
+			if (target !== dataObject) return
+			this._handleEvent(dataObject, eventName, ...params)
+		}
+		this._trackedListeners.set(dataObject, listener)
+		this._pendingSorts.length = 0
+		dataObject.addListener(listener)
+	}
+
+	/**
+	Stop recording changes to a DataModel or DataCollection
+	Entries that were already recorded are kept
+	@param {DataModel|DataCollection} dataObject
+	*/
+	untrack(dataObject) {
+		if (this._trackedListeners.has(dataObject) === false) return
+		dataObject.removeListener(this._trackedListeners.get(dataObject))
+		this._trackedListeners.delete(dataObject)
+	}
+
+	/**
+	Group every change made until the matching `endTransaction` into one undoable entry
+	Transactions may be nested, in which case the outermost transaction makes the entry
+	*/
+	beginTransaction() {
+		if (this._transactionDepth === 0) {
+			this._transaction = []
+		}
+		this._transactionDepth += 1
+	}
+
+	endTransaction() {
+		if (this._transactionDepth === 0) {
+			throw new Error('endTransaction was called without a matching beginTransaction')
+		}
+		this._transactionDepth -= 1
+		if (this._transactionDepth > 0) return
+		const entry = this._transaction
+		this._transaction = null
+		if (entry.length > 0) {
+			this._pushEntry(entry)
+		}
+	}
+
+	/**
+	Call func inside a transaction
+	@param {function} func
+	@return {*} the value returned by func
+	*/
+	transaction(func) {
+		this.beginTransaction()
+		try {
+			return func()
+		} finally {
+			this.endTransaction()
+		}
+	}
+
+	/** @return {bool} true if an entry was undone */
+	undo() {
+		if (this.canUndo === false) return false
+		const entry = this._undoStack.pop()
+		this._apply(() => {
+			for (let i = entry.length - 1; i >= 0; i--) {
+				entry[i].undo()
+			}
+		})
+		this._redoStack.push(entry)
+		this._triggerHistoryChanged()
+		return true
+	}
+
+	/** @return {bool} true if an entry was redone */
+	redo() {
+		if (this.canRedo === false) return false
+		const entry = this._redoStack.pop()
+		this._apply(() => {
+			for (const operation of entry) {
+				operation.redo()
+			}
+		})
+		this._undoStack.push(entry)
+		this._triggerHistoryChanged()
+		return true
+	}
+
+	/** Forget all undoable and redoable entries */
+	clear() {
+		if (this._undoStack.length === 0 && this._redoStack.length === 0) return
+		this._undoStack.length = 0
+		this._redoStack.length = 0
+		this._triggerHistoryChanged()
+	}
+
+	_apply(func) {
+		this._applying = true
+		try {
+			func()
+		} finally {
+			this._applying = false
+		}
+	}
+
+	_handleEvent(dataObject, eventName, ...params) {
+		if (this._applying || dataObject.isResetting) return
+		if (dataObject instanceof DataModel && eventName === 'changed') {
+			const [changes, previousValues] = params
+			const values = {}
+			for (const key in changes) {
+				// DataObject values are changed in place, so record a copy of their data
+				values[key] = changes[key] instanceof DataObject ? JSON.parse(JSON.stringify(changes[key])) : changes[key]
+			}
+			this._record({
+				subject: dataObject,
+				undo: () => dataObject.setBatch(previousValues),
+				redo: () => dataObject.setBatch(values)
+			})
+		} else if (dataObject instanceof DataCollection) {
+			switch (eventName) {
+				case 'added': {
+					const [addedObject, index] = params
+					this._record({
+						subject: addedObject,
+						undo: () => dataObject.remove(addedObject),
+						redo: () => dataObject.add(addedObject, index)
+					})
+					break
+				}
+				case 'removed': {
+					const [removedObject, index] = params
+					this._record({
+						subject: removedObject,
+						undo: () => dataObject.add(removedObject, index),
+						redo: () => dataObject.remove(removedObject)
+					})
+					break
+				}
+				case 'sorted': {
+					const [previousOrder, cause = null] = params
+					const order = dataObject.dataObjects.slice()
+					if (order.every((sortedObject, index) => sortedObject === previousOrder[index])) break
+					const operation = {
+						subject: cause,
+						undo: () => dataObject.reorder(previousOrder),
+						redo: () => dataObject.reorder(order)
+					}
+					if (cause === null) {
+						this._record(operation)
+						break
+					}
+					// An add is recorded before its sort, but a DataModel's change is recorded after its 'changed:field' sort
+					const entry = this._transaction !== null ? this._transaction : this._undoStack[this._undoStack.length - 1]
+					if (entry && entry.length > 0 && entry[entry.length - 1].subject === cause) {
+						entry.push(operation)
+					} else {
+						this._pendingSorts.push({ cause: cause, operation: operation })
+					}
+					break
+				}
+			}
+		}
+	}
+
+	_record(operation) {
+		const operations = [operation]
+		// Sorts caused by changes that were not recorded, like those of untracked DataModels, are dropped
+		for (const pendingSort of this._pendingSorts) {
+			if (pendingSort.cause === operation.subject) operations.push(pendingSort.operation)
+		}
+		this._pendingSorts.length = 0
+		if (this._transaction !== null) {
+			this._transaction.push(...operations)
+		} else {
+			this._pushEntry(operations)
+		}
+	}
+
+	_pushEntry(entry) {
+		this._undoStack.push(entry)
+		if (this._undoStack.length > this.options.limit) {
+			this._undoStack.splice(0, this._undoStack.length - this.options.limit)
+		}
+		this._redoStack.length = 0
+		this._triggerHistoryChanged()
+	}
+
+	_triggerHistoryChanged() {
+		this.trigger(UndoManager.HistoryChangedEvent, this, this.canUndo, this.canRedo)
+	}
+}
+
+UndoManager.HistoryChangedEvent = 'undo-history-changed'
+
+export default UndoManager
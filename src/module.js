@@ -3,15 +3,22 @@ import dom from './DOM.js'
 import som from './SOM.js'
 import Router from './Router.js'
 import Component from './Component.js'
+import RouteOutlet from './RouteOutlet.js'
 import DataModel from './DataModel.js'
 import Localizer from './Localizer.js'
 import DataObject from './DataObject.js'
+import * as DataErrors from './DataErrors.js'
 import * as throttle from './throttle.js'
 import MockService from './MockService.js'
+import OfflineStore from './OfflineStore.js'
+import RealtimeChannel from './RealtimeChannel.js'
+import UndoManager from './UndoManager.js'
 import AssetLoader from './AssetLoader.js'
 import AudioManager from './AudioManager.js'
 import * as ScriptContext from './ScriptContext.js'
 import DataCollection from './DataCollection.js'
+import DataCollectionView from './DataCollectionView.js'
+import { GraphQLModel, GraphQLCollection } from './GraphQL.js'
 import DisplayModeTracker from './DisplayModeTracker.js'
 
 import Engine from './display/Engine.js'
@@ -29,14 +36,22 @@ export {
 	Router,
 	throttle,
 	Component,
+	RouteOutlet,
 	DataModel,
 	Localizer,
 	DataObject,
+	DataErrors,
 	MockService,
+	OfflineStore,
+	RealtimeChannel,
+	UndoManager,
 	AssetLoader,
 	AudioManager,
 	ScriptContext,
 	DataCollection,
+	DataCollectionView,
+	GraphQLModel,
+	GraphQLCollection,
 	DisplayModeTracker,
 	Engine,
 	RegexTemplates,
@@ -0,0 +1,134 @@
+/*
+The service worker for MockService.attachToServiceWorker
+
+It forwards the requests of pages that attached to it to their MockService, so that requests that
+do not use window.fetch, like CSS fonts and XMLHttpRequests, can be mocked.
+Requests from other pages go to the network as usual.
+
+The browser stops idle workers, so the ids of attached pages are kept in the Cache API as well as in memory.
+
+The message types must match MockService.ServiceWorkerAttachMessage, ServiceWorkerDetachMessage, and ServiceWorkerRequestMessage.
+*/
+
+const ATTACH_MESSAGE = 'mock-service-attach'
+const DETACH_MESSAGE = 'mock-service-detach'
+const REQUEST_MESSAGE = 'mock-service-request'
+
+// Pages that have not answered a forwarded request after this many milliseconds are fetched from the network
+const RESPONSE_TIMEOUT = 10000
+
+const CACHE_NAME = 'mock-service-worker'
+const ATTACHED_CLIENT_IDS_URL = '/mock-service-worker/attached-client-ids'
+
+const attachedClientIds = new Set()
+let attachedClientIdsAreLoaded = false
+const attachedClientIdsLoaded = caches
+	.open(CACHE_NAME)
+	.then(cache => cache.match(ATTACHED_CLIENT_IDS_URL))
+	.then(response => (response ? response.json() : []))
+	.then(clientIds => {
+		for (const clientId of clientIds) {
+			attachedClientIds.add(clientId)
+		}
+	})
+	.catch(() => {}) // without the Cache API the ids are only kept in memory
+	.then(() => {
+		attachedClientIdsAreLoaded = true
+	})
+
+const saveAttachedClientIds = function() {
+	return attachedClientIdsLoaded
+		.then(() => caches.open(CACHE_NAME))
+		.then(cache => {
+			return cache.put(
+				ATTACHED_CLIENT_IDS_URL,
+				new Response(JSON.stringify(Array.from(attachedClientIds)), {
+					headers: { 'Content-Type': 'application/json' }
+				})
+			)
+		})
+		.catch(() => {})
+}
+
+self.addEventListener('install', event => {
+	event.waitUntil(self.skipWaiting())
+})
+
+self.addEventListener('activate', event => {
+	event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener('message', event => {
+	if (!event.data || !event.source) return
+	switch (event.data.type) {
+		case ATTACH_MESSAGE:
+			attachedClientIds.add(event.source.id)
+			event.waitUntil(
+				saveAttachedClientIds().then(() => {
+					if (event.ports[0]) event.ports[0].postMessage({ attached: true })
+				})
+			)
+			break
+		case DETACH_MESSAGE:
+			attachedClientIds.delete(event.source.id)
+			event.waitUntil(saveAttachedClientIds())
+			break
+	}
+})
+
+self.addEventListener('fetch', event => {
+	if (attachedClientIdsAreLoaded) {
+		if (attachedClientIds.has(event.clientId) === false) return
+		event.respondWith(forwardRequest(event.clientId, event.request))
+		return
+	}
+	// A restarted worker does not know which pages are attached until the stored ids are loaded
+	event.respondWith(
+		attachedClientIdsLoaded.then(() => {
+			if (attachedClientIds.has(event.clientId) === false) return fetch(event.request)
+			return forwardRequest(event.clientId, event.request)
+		})
+	)
+})
+
+const forwardRequest = function(clientId, request) {
+	return self.clients.get(clientId).then(client => {
+		if (!client) {
+			attachedClientIds.delete(clientId)
+			saveAttachedClientIds()
+			return fetch(request)
+		}
+		const readBody =
+			request.method === 'GET' || request.method === 'HEAD' ? Promise.resolve(null) : request.clone().text()
+		return readBody.then(body => askClient(client, request, body)).then(answer => {
+			if (answer.fallThrough) return fetch(request)
+			if (answer.error) return Response.error()
+			const hasNoBody = answer.status === 204 || answer.status === 205 || answer.status === 304
+			return new Response(hasNoBody ? null : answer.body, {
+				status: answer.status,
+				statusText: answer.statusText,
+				headers: answer.headers
+			})
+		})
+	})
+}
+
+/** @return {Promise<Object>} the page's answer, or { fallThrough: true } if it does not answer in time */
+const askClient = function(client, request, body) {
+	const headers = {}
+	request.headers.forEach((value, name) => {
+		headers[name] = value
+	})
+	return new Promise(resolve => {
+		const channel = new MessageChannel()
+		const timeout = setTimeout(() => resolve({ fallThrough: true }), RESPONSE_TIMEOUT)
+		channel.port1.onmessage = event => {
+			clearTimeout(timeout)
+			resolve(event.data)
+		}
+		client.postMessage(
+			{ type: REQUEST_MESSAGE, url: request.url, method: request.method, headers: headers, body: body },
+			[channel.port2]
+		)
+	})
+}
@@ -7,9 +7,18 @@ import {
 	dom,
 	Router,
 	Component,
+	RouteOutlet,
 	DataModel,
 	DataObject,
+	DataErrors,
+	MockService,
 	DataCollection,
+	DataCollectionView,
+	GraphQLModel,
+	GraphQLCollection,
+	OfflineStore,
+	RealtimeChannel,
+	UndoManager,
 	RegexTemplates
 } from '/dist/potassium-es.js'
 
@@ -216,6 +225,1598 @@ tests.push(
 	})
 )
 
+tests.push(
+	new Test('DataModel schema', test => {
+		class PersonModel extends DataModel {
+			static get schema() {
+				return {
+					name: { type: 'string', required: true },
+					age: { type: 'integer', min: 0, default: 0 },
+					role: { type: 'string', enum: ['admin', 'member'] },
+					email: { type: 'string', regex: /^[^@]+@[^@]+$/ },
+					nickname: { validator: (value, model) => value !== model.get('name') || 'same-as-name' }
+				}
+			}
+		}
+		let person = new PersonModel()
+		let receivedEvents = []
+		person.addListener((eventName, target, ...params) => {
+			receivedEvents.push({ eventName: eventName, target: target, params: params })
+		}, 'validation-changed')
+		test.assertEqual(person.get('age'), 0) // default value
+		test.assertEqual(person.isValid, false)
+		test.assertEqual(person.errors.name, 'required')
+
+		person.set('name', 'Sam')
+		test.assertEqual(person.isValid, true)
+		test.assertEqual(receivedEvents.length, 1)
+		test.assertEqual(Object.keys(receivedEvents[0].params[0]).length, 0)
+
+		person.setBatch({ age: -1, role: 'boss', email: 'nope', nickname: 'Sam' })
+		test.assertEqual(person.get('age'), -1) // invalid values are set and their errors recorded
+		test.assertEqual(person.errors.age, 'min')
+		test.assertEqual(person.errors.role, 'enum')
+		test.assertEqual(person.errors.email, 'regex')
+		test.assertEqual(person.errors.nickname, 'same-as-name')
+		test.assertEqual(receivedEvents.length, 2)
+
+		person.set('age', 'old')
+		test.assertEqual(person.errors.age, 'type')
+
+		// parse coerces fetched data to the schema's types
+		const parsed = person.parse({ name: 12, age: '42', extra: '7' })
+		test.assertEqual(parsed.name, '12')
+		test.assertEqual(parsed.age, 42)
+		test.assertEqual(parsed.extra, '7')
+
+		let strictPerson = new PersonModel({ name: 'Ari' }, { rejectInvalid: true })
+		test.assertEqual(strictPerson.isValid, true)
+		strictPerson.set('age', -5)
+		test.assertEqual(strictPerson.get('age'), 0) // rejected
+		test.assertEqual(strictPerson.errors.age, 'min')
+		strictPerson.set('age', 5)
+		test.assertEqual(strictPerson.get('age'), 5)
+		test.assertEqual(strictPerson.isValid, true)
+
+		class TypoModel extends DataModel {
+			static get schema() {
+				return { name: { type: 'text' } }
+			}
+		}
+		let schemaError = null
+		try {
+			new TypoModel()
+		} catch (err) {
+			schemaError = err
+		}
+		test.assertNotEqual(schemaError, null)
+		test.assertEqual(schemaError.message.startsWith('Unknown schema type "text" for name'), true)
+
+		// An invalid save still triggers 'saving' before 'saved'
+		let saveEvents = []
+		person.addListener((eventName, target, ...params) => {
+			saveEvents.push({ eventName: eventName, params: params })
+		})
+		return person.save().then(
+			() => {
+				throw new Error('The save should have failed validation')
+			},
+			err => {
+				test.assertInstanceOf(err, DataErrors.ValidationError)
+				test.assertEqual(saveEvents.map(event => event.eventName).join(','), 'saving,saved')
+				test.assertEqual(saveEvents[1].params[1], err)
+			}
+		)
+	})
+)
+
+tests.push(
+	new Test('DataModel change tracking', test => {
+		class NoteModel extends DataModel {
+			get url() {
+				return '/api/notes/' + this.get('id')
+			}
+		}
+		let note = new NoteModel({ id: 1, title: 'Old', tags: ['a'] })
+		note._new = false
+		let requests = []
+		note._innerFetch = (url, options) => {
+			requests.push({ url: url, method: options.method, body: JSON.parse(options.body) })
+			const data = Object.assign({}, note.data, JSON.parse(options.body))
+			return Promise.resolve(new Response(JSON.stringify(data), { status: 200 }))
+		}
+		let receivedEvents = []
+		note.addListener((eventName, target, ...params) => {
+			receivedEvents.push({ eventName: eventName, target: target, params: params })
+		})
+		test.assertEqual(note.hasChanges, false)
+		test.assertEqual(note.changedFields.length, 0)
+
+		note.set('title', 'New')
+		note.get('tags').push('b')
+		test.assertEqual(note.changedFields.join(','), 'title,tags')
+		test.assertEqual(note.changes.title.previous, 'Old')
+		test.assertEqual(note.changes.title.current, 'New')
+
+		note.revert()
+		test.assertEqual(note.hasChanges, false)
+		test.assertEqual(note.get('title'), 'Old')
+		test.assertEqual(note.get('tags').length, 1)
+
+		note.set('title', 'Newer')
+		receivedEvents.length = 0
+		return note.save({ patch: true }).then(() => {
+			test.assertEqual(requests.length, 1)
+			test.assertEqual(requests[0].method, 'PATCH')
+			test.assertEqual(Object.keys(requests[0].body).join(','), 'title')
+			test.assertEqual(requests[0].body.title, 'Newer')
+			test.assertEqual(note.hasChanges, false)
+			const savingEvent = receivedEvents.find(event => event.eventName === 'saving')
+			test.assertEqual(savingEvent.params[0].title.current, 'Newer')
+			const savedEvent = receivedEvents.find(event => event.eventName === 'saved')
+			test.assertEqual(savedEvent.params[2].title.previous, 'Old')
+		})
+	})
+)
+
+tests.push(
+	new Test('UndoManager', test => {
+		const model = new DataModel({ title: 'First', count: 1 })
+		const collection = new DataCollection()
+		const item1 = new DataModel({ id: 1 })
+		const item2 = new DataModel({ id: 2 })
+		collection.add(item1)
+		const undoManager = new UndoManager()
+		undoManager.track(model)
+		undoManager.track(collection)
+		const historyEvents = []
+		undoManager.addListener((eventName, manager, canUndo, canRedo) => {
+			historyEvents.push({ canUndo: canUndo, canRedo: canRedo })
+		}, UndoManager.HistoryChangedEvent)
+		test.assertEqual(undoManager.canUndo, false)
+
+		model.set('title', 'Second')
+		test.assertEqual(undoManager.canUndo, true)
+		test.assertEqual(historyEvents.length, 1)
+		undoManager.undo()
+		test.assertEqual(model.get('title'), 'First')
+		test.assertEqual(undoManager.canUndo, false)
+		test.assertEqual(undoManager.canRedo, true)
+		undoManager.redo()
+		test.assertEqual(model.get('title'), 'Second')
+		test.assertEqual(undoManager.canRedo, false)
+
+		// Transactions are undone as one entry
+		undoManager.transaction(() => {
+			collection.add(item2, 0)
+			model.setBatch({ title: 'Third', count: 2 })
+		})
+		test.assertEqual(collection.at(0), item2)
+		undoManager.undo()
+		test.assertEqual(collection.length, 1)
+		test.assertEqual(model.get('title'), 'Second')
+		test.assertEqual(model.get('count'), 1)
+		undoManager.redo()
+		test.assertEqual(collection.at(0), item2)
+		test.assertEqual(model.get('count'), 2)
+
+		collection.remove(item2)
+		undoManager.undo()
+		test.assertEqual(collection.at(0), item2)
+
+		collection.sort((a, b) => b.get('id') - a.get('id'))
+		test.assertEqual(collection.at(0), item2)
+		collection.sort((a, b) => a.get('id') - b.get('id'))
+		undoManager.undo()
+		test.assertEqual(collection.at(0), item2)
+
+		// Resets are not recorded and new changes clear the redo stack
+		model.reset({ title: 'Fetched' })
+		undoManager.undo()
+		test.assertEqual(undoManager.canRedo, true)
+		model.set('title', 'Edited')
+		test.assertEqual(undoManager.canRedo, false)
+
+		undoManager.untrack(model)
+		const eventCount = historyEvents.length
+		model.set('title', 'Untracked')
+		test.assertEqual(historyEvents.length, eventCount)
+
+		// Sorts that do not change the order are not recorded
+		collection.add(item2)
+		undoManager.clear()
+		collection.sort((a, b) => b.get('id') - a.get('id'))
+		collection.sort((a, b) => b.get('id') - a.get('id'))
+		test.assertEqual(undoManager.canUndo, true)
+		undoManager.undo()
+		test.assertEqual(undoManager.canUndo, false)
+
+		// Sorts by keepSortedByField are undone with the add or change that caused them
+		const rankedItems = new DataCollection([{ id: 1, rank: 1 }, { id: 2, rank: 3 }])
+		rankedItems.keepSortedByField('rank')
+		undoManager.track(rankedItems)
+		rankedItems.add(new DataModel({ id: 3, rank: 2 }))
+		test.assertEqual(rankedItems.at(1).get('id'), 3)
+		undoManager.undo()
+		test.assertEqual(rankedItems.length, 2)
+		test.assertEqual(undoManager.canUndo, false)
+		undoManager.redo()
+		test.assertEqual(rankedItems.at(1).get('id'), 3)
+
+		// Changes to untracked members are not recorded, so the redo stack is kept
+		undoManager.undo()
+		rankedItems.at(0).set('rank', 4)
+		test.assertEqual(rankedItems.at(1).get('rank'), 4)
+		test.assertEqual(undoManager.canUndo, false)
+		test.assertEqual(undoManager.canRedo, true)
+
+		const trackedItem = rankedItems.at(0)
+		undoManager.track(trackedItem)
+		trackedItem.set('rank', 5)
+		test.assertEqual(rankedItems.at(1), trackedItem)
+		undoManager.undo()
+		test.assertEqual(trackedItem.get('rank'), 3)
+		test.assertEqual(rankedItems.at(0), trackedItem)
+		test.assertEqual(undoManager.canUndo, false)
+		undoManager.cleanup()
+	})
+)
+
+tests.push(
+	new Test('DataModel computed fields', test => {
+		class PersonModel extends DataModel {
+			static get computed() {
+				return {
+					fullName: {
+						dependsOn: ['first', 'last'],
+						compute: model => `${model.get('first', '')} ${model.get('last', '')}`.trim()
+					},
+					greeting: {
+						dependsOn: ['fullName'],
+						compute: model => `Hello, ${model.get('fullName')}`
+					}
+				}
+			}
+		}
+		const person = new PersonModel({ first: 'Ada', last: 'Lovelace' })
+		test.assertEqual(person.get('fullName'), 'Ada Lovelace')
+		test.assertEqual(person.get('greeting'), 'Hello, Ada Lovelace')
+		test.assertEqual(typeof person.data.fullName, 'undefined')
+
+		const receivedEvents = []
+		person.addListener((eventName, target, ...params) => {
+			receivedEvents.push({ eventName: eventName, params: params })
+		})
+		person.set('last', 'Byron')
+		test.assertEqual(person.get('fullName'), 'Ada Byron')
+		const fullNameEvent = receivedEvents.find(event => event.eventName === 'changed:fullName')
+		test.assertEqual(fullNameEvent.params[1], 'Ada Byron')
+		test.assertEqual(fullNameEvent.params[2], 'Ada Lovelace')
+		test.assertNotEqual(receivedEvents.find(event => event.eventName === 'changed:greeting'), undefined)
+		const changedEvent = receivedEvents.find(event => event.eventName === 'changed')
+		test.assertEqual(Object.keys(changedEvent.params[0]).join(','), 'last')
+
+		// Setting a computed field is ignored
+		person.set('fullName', 'Someone Else')
+		test.assertEqual(person.get('fullName'), 'Ada Byron')
+
+		// Changes that do not change the computed value do not trigger events
+		receivedEvents.length = 0
+		person.set('age', 36)
+		test.assertEqual(receivedEvents.filter(event => event.eventName === 'changed:fullName').length, 0)
+
+		person.reset({ first: 'Grace' })
+		test.assertEqual(person.get('fullName'), 'Grace')
+
+		const component = new Component(person)
+		const span = dom.span()
+		component.bindText('fullName', span)
+		person.set('last', 'Hopper')
+		test.assertEqual(span.innerText, 'Grace Hopper')
+	})
+)
+
+tests.push(
+	new Test('Optimistic creates and saves', test => {
+		class NotesCollection extends DataCollection {
+			get url() {
+				return '/api/notes/'
+			}
+		}
+		class NoteModel extends DataModel {
+			get url() {
+				return '/api/notes/' + this.get('id')
+			}
+		}
+		const notes = new NotesCollection([{ id: 1, title: 'First' }], { optimisticCreates: true })
+		let failRequests = false
+		notes._innerFetch = (url, options) => {
+			if (failRequests) return Promise.resolve(new Response('', { status: 500 }))
+			const data = Object.assign({ id: 2 }, JSON.parse(options.body))
+			return Promise.resolve(new Response(JSON.stringify(data), { status: 200 }))
+		}
+		const collectionEvents = []
+		notes.addListener((eventName, target, ...params) => {
+			collectionEvents.push({ eventName: eventName, target: target, params: params })
+		})
+
+		const created = notes.create({ title: 'Second' })
+		test.assertEqual(notes.length, 2)
+		const pendingNote = notes.at(1)
+		test.assertEqual(pendingNote.isPending, true)
+		test.assertEqual(pendingNote.get('title'), 'Second')
+		return created
+			.then(note => {
+				test.assertEqual(note, pendingNote)
+				test.assertEqual(note.isPending, false)
+				test.assertEqual(note.get('id'), 2)
+				test.assertEqual(notes.length, 2)
+
+				failRequests = true
+				const failedCreate = notes.create({ id: 3, title: 'Third' })
+				test.assertEqual(notes.length, 3)
+				return failedCreate.then(
+					() => {
+						throw new Error('The create should have failed')
+					},
+					err => {
+						test.assertEqual(notes.length, 2)
+						const rollbackEvent = collectionEvents.find(event => event.eventName === 'rollback')
+						test.assertEqual(rollbackEvent.target, notes)
+						test.assertEqual(rollbackEvent.params[0].get('title'), 'Third')
+					}
+				)
+			})
+			.then(() => {
+				// Concurrent creates without ids roll back only the one that failed
+				const responses = []
+				notes._innerFetch = () => new Promise(resolve => responses.push(resolve))
+				const firstCreate = notes.create({ title: 'Fourth' })
+				const secondCreate = notes.create({ title: 'Fifth' })
+				const firstNote = notes.at(2)
+				test.assertEqual(notes.length, 4)
+				responses[1](new Response('', { status: 500 }))
+				return secondCreate.then(
+					() => {
+						throw new Error('The create should have failed')
+					},
+					err => {
+						test.assertEqual(notes.length, 3)
+						test.assertEqual(notes.at(2), firstNote)
+						responses[0](new Response(JSON.stringify({ id: 5, title: 'Fourth' }), { status: 200 }))
+						return firstCreate.then(note => {
+							test.assertEqual(note, firstNote)
+							test.assertEqual(notes.at(2).get('id'), 5)
+						})
+					}
+				)
+			})
+			.then(() => {
+				const note = new NoteModel({ id: 4, title: 'Saved', body: 'Saved body' }, { optimisticSaves: true })
+				note._new = false
+				note._innerFetch = () => {
+					test.assertEqual(note.isPending, true)
+					// Edits made while the save is pending are kept
+					note.set('body', 'Newer body')
+					return Promise.resolve(new Response('', { status: 500 }))
+				}
+				let rollbackCount = 0
+				note.addListener(() => {
+					rollbackCount += 1
+				}, 'rollback')
+				note.setBatch({ title: 'Unsaved', body: 'Unsaved body' })
+				return note.save().then(
+					() => {
+						throw new Error('The save should have failed')
+					},
+					err => {
+						test.assertEqual(note.isPending, false)
+						test.assertEqual(rollbackCount, 1)
+						test.assertEqual(note.get('title'), 'Saved')
+						test.assertEqual(note.get('body'), 'Newer body')
+					}
+				)
+			})
+	})
+)
+
+tests.push(
+	new Test('DataCollection pagination', test => {
+		class ItemsCollection extends DataCollection {
+			get url() {
+				return '/api/items/'
+			}
+		}
+		const allItems = []
+		for (let i = 0; i < 5; i++) allItems.push({ id: i })
+		const requestedURLs = []
+
+		const pagedItems = new ItemsCollection([], { pagination: 'page', pageSize: 2 })
+		pagedItems._innerFetch = url => {
+			requestedURLs.push(url)
+			const page = parseInt(url.match(/page=([0-9]+)/)[1], 10)
+			const items = allItems.slice((page - 1) * 2, page * 2)
+			return Promise.resolve(
+				new Response(JSON.stringify(items), { status: 200, headers: { 'X-Total-Count': '' + allItems.length } })
+			)
+		}
+		const fetchedPages = []
+		pagedItems.addListener((eventName, collection, dataObjects) => {
+			fetchedPages.push(dataObjects)
+		}, 'page-fetched')
+
+		const cursorItems = new ItemsCollection([], { pagination: 'cursor', pageSize: 3 })
+		cursorItems._innerFetch = url => {
+			const cursorMatch = url.match(/cursor=([0-9]+)/)
+			const start = cursorMatch === null ? 0 : parseInt(cursorMatch[1], 10)
+			const envelope = {
+				items: allItems.slice(start, start + 3),
+				nextCursor: start + 3 < allItems.length ? '' + (start + 3) : null
+			}
+			return Promise.resolve(new Response(JSON.stringify(envelope), { status: 200 }))
+		}
+
+		return pagedItems
+			.fetch()
+			.then(collection => {
+				test.assertEqual(collection, pagedItems)
+				test.assertEqual(requestedURLs[0], '/api/items/?page=1&pageSize=2')
+				test.assertEqual(pagedItems.length, 2)
+				test.assertEqual(pagedItems.totalCount, 5)
+				test.assertEqual(pagedItems.hasMore, true)
+				const nextPage = pagedItems.fetchNextPage()
+				test.assertEqual(pagedItems.fetchNextPage(), nextPage)
+				return nextPage
+			})
+			.then(dataObjects => {
+				test.assertEqual(dataObjects.length, 2)
+				test.assertEqual(pagedItems.length, 4)
+				test.assertEqual(pagedItems.at(3).get('id'), 3)
+				return pagedItems.fetchNextPage()
+			})
+			.then(() => {
+				test.assertEqual(pagedItems.length, 5)
+				test.assertEqual(pagedItems.hasMore, false)
+				test.assertEqual(fetchedPages.length, 3)
+				return cursorItems.fetchNextPage()
+			})
+			.then(() => {
+				test.assertEqual(cursorItems.length, 3)
+				test.assertEqual(cursorItems.hasMore, true)
+				return cursorItems.fetchNextPage()
+			})
+			.then(() => {
+				test.assertEqual(cursorItems.length, 5)
+				test.assertEqual(cursorItems.hasMore, false)
+				return cursorItems.fetch()
+			})
+			.then(() => {
+				test.assertEqual(cursorItems.length, 3)
+			})
+	})
+)
+
+tests.push(
+	new Test('DataCollectionView', test => {
+		const tasks = new DataCollection([
+			{ id: 1, project: 'home', due: 3, done: false },
+			{ id: 2, project: 'work', due: 1, done: true },
+			{ id: 3, project: 'work', due: 2, done: false }
+		])
+		const openTasks = new DataCollectionView(tasks, {
+			filter: task => task.get('done') !== true,
+			comparator: (task1, task2) => task1.get('due') - task2.get('due'),
+			groupBy: 'project'
+		})
+		const receivedEvents = []
+		openTasks.addListener((eventName, target, ...params) => {
+			receivedEvents.push({ eventName: eventName, target: target, params: params })
+		})
+		test.assertEqual(openTasks.length, 2)
+		test.assertEqual(openTasks.at(0).get('id'), 3)
+		test.assertEqual(Array.from(openTasks.groups.keys()).join(','), 'work,home')
+
+		// A change that passes the filter adds the DataObject in sorted order
+		tasks.at(1).set('done', false)
+		test.assertEqual(openTasks.length, 3)
+		test.assertEqual(openTasks.at(0).get('id'), 2)
+		const addedEvent = receivedEvents.find(event => event.eventName === 'added')
+		test.assertEqual(addedEvent.target, openTasks)
+		test.assertEqual(addedEvent.params[1], 0)
+		test.assertEqual(openTasks.groups.get('work').length, 2)
+
+		// Changes to DataObjects in the view are relayed
+		receivedEvents.length = 0
+		tasks.at(0).set('due', 0)
+		test.assertEqual(receivedEvents[0].eventName, 'changed:due')
+		test.assertEqual(openTasks.at(0).get('id'), 1)
+		test.assertNotEqual(receivedEvents.find(event => event.eventName === 'sorted'), undefined)
+		test.assertNotEqual(receivedEvents.find(event => event.eventName === 'groups-changed'), undefined)
+
+		tasks.remove(tasks.at(2))
+		test.assertEqual(openTasks.length, 2)
+		tasks.add(new DataModel({ id: 4, project: 'play', due: 5, done: true }))
+		test.assertEqual(openTasks.length, 2)
+
+		openTasks.setFilter(null)
+		test.assertEqual(openTasks.length, 3)
+		test.assertEqual(openTasks.at(2).get('id'), 4)
+		test.assertEqual(Array.from(openTasks).length, 3)
+
+		tasks.reset([{ id: 5, project: 'home', due: 1 }])
+		test.assertEqual(openTasks.length, 1)
+		test.assertEqual(openTasks.at(0).get('id'), 5)
+
+		openTasks.cleanup()
+		tasks.add(new DataModel({ id: 6 }))
+		test.assertEqual(openTasks.length, 0)
+	})
+)
+
+tests.push(
+	new Test('OfflineStore', test => {
+		class NoteModel extends DataModel {
+			get url() {
+				return '/api/notes/1'
+			}
+		}
+		const note = new NoteModel({ id: 1, title: 'Cached' })
+		let networkIsUp = true
+		const serverRequests = []
+		note._innerFetch = (url, options) => {
+			if (networkIsUp === false) return Promise.reject(new TypeError('Failed to fetch'))
+			serverRequests.push({ method: options.method || 'get' })
+			const body = options.body
+				? Object.assign({ updated: true }, JSON.parse(options.body))
+				: { id: 1, title: 'Cached' }
+			return Promise.resolve(new Response(JSON.stringify(body), { status: 200 }))
+		}
+		const offlineStore = new OfflineStore({ storage: new OfflineStore.MemoryStorage() })
+		offlineStore.attachToDataObject(note)
+		const receivedEvents = []
+		note.addListener((eventName, target, ...params) => {
+			receivedEvents.push({ eventName: eventName, params: params })
+		})
+
+		return note
+			.fetch()
+			.then(() => {
+				networkIsUp = false
+				note.set('title', 'Offline')
+				return note.fetch()
+			})
+			.then(() => {
+				// The cached data was served
+				test.assertEqual(note.get('title'), 'Cached')
+				note.set('title', 'Queued')
+				return note.save()
+			})
+			.then(() => {
+				test.assertEqual(note.get('title'), 'Queued')
+				test.assertEqual(offlineStore.pendingCount, 1)
+				test.assertNotEqual(receivedEvents.find(event => event.eventName === 'sync-pending'), undefined)
+				return offlineStore.replay()
+			})
+			.then(pendingCount => {
+				// Still offline, so the request stays queued
+				test.assertEqual(pendingCount, 1)
+				networkIsUp = true
+				return offlineStore.replay()
+			})
+			.then(pendingCount => {
+				test.assertEqual(pendingCount, 0)
+				test.assertEqual(serverRequests[serverRequests.length - 1].method, 'put')
+				test.assertEqual(note.get('updated'), true)
+				const syncedEvent = receivedEvents.find(event => event.eventName === 'synced')
+				test.assertEqual(syncedEvent.params[0].title, 'Queued')
+				offlineStore.detachFromDataObject(note)
+				offlineStore.cleanup()
+
+				// The DataObject's own isSuccessfulResponse decides what is cached and what has synced
+				const strictNote = new NoteModel(
+					{ id: 1, title: 'Strict' },
+					{ isSuccessfulResponse: response => response.headers.get('X-Error') === null }
+				)
+				strictNote._innerFetch = (url, options) => {
+					if (networkIsUp === false) return Promise.reject(new TypeError('Failed to fetch'))
+					const body = options.body || JSON.stringify({ id: 1, title: 'Refused' })
+					return Promise.resolve(new Response(body, { status: 200, headers: { 'X-Error': 'true' } }))
+				}
+				const strictStore = new OfflineStore({ storage: new OfflineStore.MemoryStorage() })
+				strictStore.attachToDataObject(strictNote)
+				const strictEvents = []
+				strictNote.addListener((eventName, target, ...params) => {
+					strictEvents.push({ eventName: eventName, params: params })
+				})
+				return strictNote
+					.fetch()
+					.catch(() => {})
+					.then(() => strictStore._storage.keys())
+					.then(keys => {
+						test.assertEqual(keys.filter(key => key.startsWith(OfflineStore.CacheKeyPrefix)).length, 0)
+						networkIsUp = false
+						return strictNote.save()
+					})
+					.then(() => {
+						test.assertEqual(strictStore.pendingCount, 1)
+						networkIsUp = true
+						return strictStore.replay()
+					})
+					.then(pendingCount => {
+						test.assertEqual(pendingCount, 0)
+						test.assertEqual(strictEvents.filter(event => event.eventName === 'synced').length, 0)
+						test.assertEqual(strictEvents.filter(event => event.eventName === 'sync-failed').length, 1)
+						strictStore.detachFromDataObject(strictNote)
+						strictStore.cleanup()
+					})
+			})
+	})
+)
+
+tests.push(
+	new Test('OfflineStore creates, refusals, and broken storage', test => {
+		class NoteModel extends DataModel {
+			get url() {
+				return `/api/notes/${this.get('id')}`
+			}
+		}
+		class NotesCollection extends DataCollection {
+			constructor(data = [], options = {}) {
+				super(data, Object.assign({ dataObject: NoteModel }, options))
+			}
+			get url() {
+				return '/api/notes'
+			}
+		}
+		let networkIsUp = false
+		const service = new MockService({ fallThrough: false })
+		service.addEndpoint(/^\/api\//, () => Promise.reject(new TypeError('Failed to fetch')), {
+			filter: () => networkIsUp === false
+		})
+		service.addEndpoint(/^\/api\/refused$/, () => Promise.reject(new Error('Refused')))
+		service.addResource('/api/notes', [{ id: 1, title: 'First' }])
+		service.attachToDataObject()
+		const offlineStore = new OfflineStore({ storage: new OfflineStore.MemoryStorage() })
+		offlineStore.attachToDataObject()
+
+		const brokenStorage = new OfflineStore.MemoryStorage()
+		brokenStorage.get = () => Promise.reject(new Error('Storage is broken'))
+		const brokenStore = new OfflineStore({ storage: brokenStorage })
+		const storeEvents = []
+		brokenStore.addListener((eventName, target, request, err) => {
+			storeEvents.push({ eventName: eventName, request: request, err: err })
+		})
+
+		const notes = new NotesCollection()
+		let created = null
+		return notes
+			.create({ title: 'Offline' })
+			.then(dataObject => {
+				created = dataObject
+				test.assertEqual(offlineStore.pendingCount, 1)
+				test.assertNull(created.get('id'))
+				created.set('title', 'Renamed offline')
+				return created.save()
+			})
+			.then(() => {
+				test.assertEqual(offlineStore.pendingCount, 2)
+				networkIsUp = true
+				return offlineStore.replay()
+			})
+			.then(pendingCount => {
+				test.assertEqual(pendingCount, 0)
+				// The created DataModel took its id from the server and its queued save went to its new URL
+				test.assertEqual(created.get('id'), 2)
+				test.assertEqual(created.isNew, false)
+				test.assertEqual(created.get('title'), 'Renamed offline')
+				service.expectRequest('PUT', '/api/notes/2', { title: 'Renamed offline' })
+				test.assertEqual(service.findRequests('PUT', '/api/notes/null').length, 0)
+
+				// Errors other than network failures are not queued
+				class RefusedModel extends DataModel {
+					get url() {
+						return '/api/refused'
+					}
+				}
+				return new RefusedModel({ id: 3 }).save().then(
+					() => {
+						throw new Error('The refused save should reject')
+					},
+					err => {
+						test.assertEqual(err.cause.message, 'Refused')
+						test.assertEqual(offlineStore.pendingCount, 0)
+					}
+				)
+			})
+			.then(() => brokenStore.ready)
+			.then(() => {
+				// Broken storage falls back to memory
+				test.assertEqual(storeEvents[0].eventName, 'sync-failed')
+				test.assertNull(storeEvents[0].request)
+				test.assertEqual(storeEvents[0].err.message, 'Storage is broken')
+				test.assertInstanceOf(brokenStore._storage, OfflineStore.MemoryStorage)
+			})
+			.then(
+				() => {
+					offlineStore.cleanup()
+					brokenStore.cleanup()
+					service.detach()
+				},
+				err => {
+					offlineStore.cleanup()
+					brokenStore.cleanup()
+					service.detach()
+					throw err
+				}
+			)
+	})
+)
+
+tests.push(
+	new Test('RealtimeChannel', test => {
+		class NotesCollection extends DataCollection {
+			get url() {
+				return '/api/notes/'
+			}
+		}
+		const notes = new NotesCollection([{ id: 1, title: 'First' }])
+		const settings = new DataModel({ theme: 'light' })
+		const service = new MockService()
+		const updates = service.addRealtimeEndpoint(/^ws:\/\/localhost\/updates$/)
+		service.attachToRealtimeChannel()
+
+		const channel = new RealtimeChannel('ws://localhost/updates', { reconnectDelay: null })
+		channel.track(notes)
+		channel.track(settings, 'settings')
+		const unroutedMessages = []
+		channel.addListener((eventName, channel, message) => {
+			unroutedMessages.push(message)
+		}, RealtimeChannel.UnroutedMessageEvent)
+
+		return new Promise((resolve, reject) => {
+			channel.addListener(
+				() => {
+					resolve()
+				},
+				RealtimeChannel.ConnectedEvent,
+				true
+			)
+			channel.connect()
+		}).then(() => {
+			test.assertEqual(channel.isConnected, true)
+			updates.push({ type: 'set', url: 'settings', data: { theme: 'dark' } })
+			test.assertEqual(settings.get('theme'), 'dark')
+
+			updates.push({ type: 'add', url: '/api/notes/', data: { id: 2, title: 'Second' } })
+			test.assertEqual(notes.length, 2)
+			updates.push({ type: 'set', id: 2, data: { title: 'Pushed' } })
+			test.assertEqual(notes.at(1).get('title'), 'Pushed')
+			updates.push({ type: 'remove', url: '/api/notes/', id: 1 })
+			test.assertEqual(notes.length, 1)
+
+			updates.push({ type: 'set', url: '/api/unknown/', data: {} })
+			test.assertEqual(unroutedMessages.length, 1)
+
+			channel.send({ type: 'hello' })
+			test.assertEqual(JSON.parse(updates.receivedMessages[0]).type, 'hello')
+
+			updates.disconnectAll()
+			test.assertEqual(channel.isConnected, false)
+			channel.cleanup()
+		})
+	})
+)
+
+tests.push(
+	new Test('RealtimeChannel errors and closed EventSources', test => {
+		const tasks = new DataCollection([{ id: 1, done: false }])
+		const openTasks = new DataCollectionView(tasks, { filter: task => task.get('done') !== true })
+		const transports = []
+		class FakeEventSourceChannel extends RealtimeChannel {
+			_innerConnect(url) {
+				const transport = { readyState: 0, close: () => {} }
+				transports.push(transport)
+				return transport
+			}
+		}
+		const channel = new FakeEventSourceChannel('/updates', {
+			transport: RealtimeChannel.EVENTSOURCE_TRANSPORT,
+			reconnectDelay: 1
+		})
+		channel.track(openTasks, 'open-tasks')
+		const errors = []
+		channel.addListener((eventName, channel, error) => {
+			errors.push(error)
+		}, RealtimeChannel.ErrorEvent)
+		channel.connect()
+		transports[0].readyState = 1
+		transports[0].onopen()
+		test.assertEqual(channel.isConnected, true)
+
+		// Errors thrown while applying a message are ErrorEvents
+		test.assertEqual(channel.receive({ type: 'reset', url: 'open-tasks', data: [] }), false)
+		test.assertEqual(errors.length, 1)
+		test.assertInstanceOf(errors[0], Error)
+
+		// An EventSource that is reconnecting by itself is still open
+		transports[0].readyState = 0
+		transports[0].onerror(new Event('error'))
+		test.assertEqual(transports.length, 1)
+
+		// An EventSource that gave up is closed and the channel reconnects
+		transports[0].readyState = 2
+		transports[0].onerror(new Event('error'))
+		test.assertEqual(channel.isConnected, false)
+		return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+			test.assertEqual(transports.length, 2)
+			channel.cleanup()
+		})
+	})
+)
+
+tests.push(
+	new Test('DataObject timeouts, retries, and cancellation', test => {
+		class NoteModel extends DataModel {
+			get url() {
+				return '/api/notes/1'
+			}
+		}
+		const note = new NoteModel({}, { retries: 2, retryDelay: 1, timeout: 50 })
+		const responses = [
+			() => Promise.reject(new TypeError('Failed to fetch')),
+			() => Promise.resolve(new Response('', { status: 503 })),
+			() => Promise.resolve(new Response(JSON.stringify({ id: 1, title: 'Third time' }), { status: 200 }))
+		]
+		let fetchCount = 0
+		note._innerFetch = () => {
+			fetchCount += 1
+			return responses.shift()()
+		}
+		const attempts = []
+		note.addListener((eventName, target, attempt) => {
+			attempts.push(attempt)
+		}, 'fetching')
+		return note
+			.fetch()
+			.then(() => {
+				test.assertEqual(fetchCount, 3)
+				test.assertEqual(attempts.join(','), '0,1,2')
+				test.assertEqual(note.get('title'), 'Third time')
+
+				// A fetch that never responds times out after every attempt
+				note._innerFetch = () => new Promise(() => {})
+				return note.fetch().then(
+					() => {
+						throw new Error('The fetch should have timed out')
+					},
+					err => {
+						test.assertInstanceOf(err, DataErrors.TimeoutError)
+						test.assertEqual(err.message, 'Request timed out after 50ms')
+					}
+				)
+			})
+			.then(() => {
+				// A response that arrives after its attempt timed out is ignored in favor of the retry
+				const slowNote = new NoteModel({}, { retries: 1, retryDelay: 1, timeout: 100 })
+				const delays = [120, 60]
+				slowNote._innerFetch = () => {
+					const title = delays.length === 2 ? 'Late' : 'Retried'
+					const delay = delays.shift()
+					return new Promise(resolve => {
+						setTimeout(() => {
+							resolve(new Response(JSON.stringify({ id: 1, title: title }), { status: 200 }))
+						}, delay)
+					})
+				}
+				return slowNote.fetch().then(() => {
+					test.assertEqual(slowNote.get('title'), 'Retried')
+				})
+			})
+			.then(() => {
+				// A second fetch cancels the first, so only the second resets the data
+				const resolvers = []
+				note._innerFetch = () => new Promise(resolve => resolvers.push(resolve))
+				note.options.timeout = null
+				const fetchedErrors = []
+				note.addListener((eventName, target, data, err) => {
+					fetchedErrors.push(err)
+				}, 'fetched')
+				const firstFetch = note.fetch().then(() => 'resolved', err => err)
+				const secondFetch = note.fetch()
+				test.assertEqual(note.isRequesting, true)
+				resolvers[1](new Response(JSON.stringify({ id: 1, title: 'Second' }), { status: 200 }))
+				resolvers[0](new Response(JSON.stringify({ id: 1, title: 'First' }), { status: 200 }))
+				return Promise.all([firstFetch, secondFetch])
+			})
+			.then(([firstResult]) => {
+				test.assertInstanceOf(firstResult, DataErrors.CancelledError)
+				test.assertEqual(note.get('title'), 'Second')
+				test.assertEqual(note.isRequesting, false)
+
+				note._innerFetch = () => new Promise(() => {})
+				const cancelledFetch = note.fetch()
+				note.cancel()
+				return cancelledFetch.then(
+					() => {
+						throw new Error('The fetch should have been cancelled')
+					},
+					err => {
+						test.assertInstanceOf(err, DataErrors.CancelledError)
+					}
+				)
+			})
+	})
+)
+
+tests.push(
+	new Test('DataErrors', test => {
+		class NoteModel extends DataModel {
+			get url() {
+				return '/api/notes/1'
+			}
+			static get schema() {
+				return { title: { type: 'string', required: true } }
+			}
+		}
+		const note = new NoteModel({ id: 1, title: 'Title' })
+		note._new = false
+		let nextResponse = null
+		note._innerFetch = () => nextResponse()
+		const savedErrors = []
+		note.addListener((eventName, target, data, err) => {
+			savedErrors.push(err)
+		}, 'saved')
+
+		nextResponse = () =>
+			Promise.resolve(
+				new Response(JSON.stringify({ message: 'Conflict' }), { status: 409, headers: { 'X-Request-Id': 'abc' } })
+			)
+		return note
+			.save()
+			.then(
+				() => {
+					throw new Error('The save should have failed')
+				},
+				err => {
+					test.assertInstanceOf(err, DataErrors.HttpError)
+					test.assertEqual(err.status, 409)
+					test.assertEqual(err.body.message, 'Conflict')
+					test.assertEqual(err.headers.get('X-Request-Id'), 'abc')
+					test.assertEqual(savedErrors[0], err)
+
+					nextResponse = () => Promise.resolve(new Response('Not JSON', { status: 200 }))
+					return note.fetch()
+				}
+			)
+			.then(
+				() => {
+					throw new Error('The fetch should have failed')
+				},
+				err => {
+					test.assertInstanceOf(err, DataErrors.ParseError)
+					test.assertEqual(err.text, 'Not JSON')
+
+					nextResponse = () => Promise.reject(new TypeError('Failed to fetch'))
+					return note.delete()
+				}
+			)
+			.then(
+				() => {
+					throw new Error('The delete should have failed')
+				},
+				err => {
+					test.assertInstanceOf(err, DataErrors.NetworkError)
+
+					nextResponse = () =>
+						Promise.resolve(new Response(JSON.stringify({ errors: { title: 'taken' } }), { status: 422 }))
+					return note.save()
+				}
+			)
+			.then(
+				() => {
+					throw new Error('The save should have failed')
+				},
+				err => {
+					test.assertInstanceOf(err, DataErrors.ValidationError)
+					test.assertEqual(err.status, 422)
+					test.assertEqual(err.errors.title, 'taken')
+
+					// Invalid models are not sent
+					nextResponse = () => {
+						throw new Error('The invalid model should not have been sent')
+					}
+					note.set('title', null)
+					return note.save()
+				}
+			)
+			.then(
+				() => {
+					throw new Error('The save should have failed')
+				},
+				err => {
+					test.assertInstanceOf(err, DataErrors.ValidationError)
+					test.assertEqual(err.status, null)
+					test.assertEqual(err.errors.title, 'required')
+				}
+			)
+	})
+)
+
+tests.push(
+	new Test('DataObject 2xx responses', test => {
+		class NotesCollection extends DataCollection {
+			get url() {
+				return '/api/notes/'
+			}
+		}
+		class NoteModel extends DataModel {
+			get url() {
+				return '/api/notes/' + this.get('id')
+			}
+		}
+		const requests = []
+		const serviceFunction = (url, options) => {
+			const method = (options.method || 'get').toLowerCase()
+			requests.push(method + ' ' + url)
+			if (method === 'post') {
+				return Promise.resolve(new Response(null, { status: 201, headers: { Location: '/api/notes/7' } }))
+			}
+			if (method === 'get') {
+				return Promise.resolve(new Response(JSON.stringify({ id: 7, title: 'Created' }), { status: 200 }))
+			}
+			return Promise.resolve(new Response(null, { status: 204 }))
+		}
+		const notes = new NotesCollection([], { dataObject: NoteModel })
+		notes._innerFetch = serviceFunction
+		return notes
+			.create({ title: 'Created' })
+			.then(note => {
+				test.assertEqual(requests.join(','), 'post /api/notes/,get /api/notes/7')
+				test.assertEqual(note.get('id'), 7)
+
+				note._innerFetch = serviceFunction
+				note.set('title', 'Saved')
+				return note.save()
+			})
+			.then(note => {
+				// The 204 response has no data, so the model keeps its data
+				test.assertEqual(note.get('title'), 'Saved')
+				test.assertEqual(note.hasChanges, false)
+				return note.delete()
+			})
+			.then(() => {
+				test.assertEqual(requests[requests.length - 1], 'delete /api/notes/7')
+
+				const strictNote = new NoteModel({ id: 8 }, { isSuccessfulResponse: response => response.status === 200 })
+				strictNote._innerFetch = serviceFunction
+				return strictNote.delete().then(
+					() => {
+						throw new Error('The delete should have failed')
+					},
+					err => {
+						test.assertInstanceOf(err, DataErrors.HttpError)
+						test.assertEqual(err.status, 204)
+					}
+				)
+			})
+	})
+)
+
+tests.push(
+	new Test('GraphQL', test => {
+		class NoteModel extends GraphQLModel {
+			get url() {
+				return '/graphql'
+			}
+			static get queries() {
+				return {
+					fetch: { query: 'query Note($id: ID!) { note(id: $id) { id title } }' },
+					update: {
+						query:
+							'mutation UpdateNote($id: ID!, $input: NoteInput!) { updateNote(id: $id, input: $input) { note { id title } } }',
+						path: 'updateNote.note'
+					},
+					delete: { query: 'mutation DeleteNote($id: ID!) { deleteNote(id: $id) }' }
+				}
+			}
+		}
+		class NotesCollection extends GraphQLCollection {
+			get url() {
+				return '/graphql'
+			}
+			static get queries() {
+				return {
+					fetch: { query: 'query Notes { notes { id title } }' },
+					create: { query: 'mutation CreateNote($input: NoteInput!) { createNote(input: $input) { id title } }' }
+				}
+			}
+		}
+		const receivedVariables = []
+		const service = new MockService()
+		service.addGraphQLEndpoint(/^\/graphql$/, {
+			note: variables => {
+				receivedVariables.push(variables)
+				if (variables.id === 404) throw new Error('Note not found')
+				return { id: variables.id, title: 'Fetched' }
+			},
+			notes: () => [{ id: 1, title: 'First' }, { id: 2, title: 'Second' }],
+			createNote: variables => Object.assign({ id: 3 }, variables.input),
+			updateNote: variables => {
+				receivedVariables.push(variables)
+				return { note: Object.assign({ id: variables.id }, variables.input) }
+			},
+			deleteNote: variables => {
+				if (variables.id === 2) throw new Error('Note is locked')
+				return true
+			},
+			pagedNotes: variables => {
+				receivedVariables.push(variables)
+				const allNotes = [{ id: 1 }, { id: 2 }, { id: 3 }]
+				const start = (variables.page - 1) * variables.pageSize
+				return { items: allNotes.slice(start, start + variables.pageSize), totalCount: allNotes.length }
+			}
+		})
+		service.attachToDataObject()
+		const note = new NoteModel({ id: 1 })
+		const notes = new NotesCollection([], { dataObject: NoteModel })
+		class PagedNotesCollection extends GraphQLCollection {
+			get url() {
+				return '/graphql'
+			}
+			static get queries() {
+				return {
+					fetch: {
+						query:
+							'query PagedNotes($page: Int, $pageSize: Int) { pagedNotes(page: $page, pageSize: $pageSize) { items { id } totalCount } }'
+					}
+				}
+			}
+		}
+		const pagedNotes = new PagedNotesCollection([], { dataObject: NoteModel, pagination: 'page', pageSize: 2 })
+
+		return note
+			.fetch()
+			.then(() => {
+				test.assertEqual(receivedVariables[0].id, 1)
+				test.assertEqual(note.get('title'), 'Fetched')
+				note.set('title', 'Updated')
+				return note.save()
+			})
+			.then(() => {
+				test.assertEqual(receivedVariables[1].input.title, 'Updated')
+				test.assertEqual(note.get('title'), 'Updated')
+				return notes.fetch()
+			})
+			.then(() => {
+				test.assertEqual(notes.length, 2)
+				test.assertEqual(notes.at(1).get('title'), 'Second')
+				return notes.create({ title: 'Third' })
+			})
+			.then(created => {
+				test.assertEqual(created.get('id'), 3)
+				test.assertEqual(notes.length, 3)
+				const missingNote = new NoteModel({ id: 404 })
+				return missingNote.fetch().then(
+					() => {
+						throw new Error('The fetch should have failed')
+					},
+					err => {
+						test.assertInstanceOf(err, DataErrors.GraphQLError)
+						test.assertEqual(err.errors[0].message, 'Note not found')
+					}
+				)
+			})
+			.then(() => {
+				return pagedNotes.fetch()
+			})
+			.then(() => {
+				test.assertEqual(receivedVariables[receivedVariables.length - 1].page, 1)
+				test.assertEqual(pagedNotes.length, 2)
+				test.assertEqual(pagedNotes.totalCount, 3)
+				return pagedNotes.fetchNextPage()
+			})
+			.then(() => {
+				test.assertEqual(receivedVariables[receivedVariables.length - 1].page, 2)
+				test.assertEqual(pagedNotes.length, 3)
+				test.assertEqual(pagedNotes.hasMore, false)
+				return new NoteModel({ id: 2 }).delete().then(
+					() => {
+						throw new Error('The delete should have failed')
+					},
+					err => {
+						test.assertInstanceOf(err, DataErrors.GraphQLError)
+						test.assertEqual(err.errors[0].message, 'Note is locked')
+					}
+				)
+			})
+			.then(() => {
+				return note.delete()
+			})
+	})
+)
+
+tests.push(
+	new Test('MockService', test => {
+		class NoteModel extends DataModel {
+			get url() {
+				return '/api/notes/' + this.get('id')
+			}
+		}
+		const requests = []
+		const service = new MockService()
+		service.addJSONEndpoint(
+			/^\/api\/notes\/(?<id>[0-9]+)$/,
+			(url, fetchOptions, request) => {
+				requests.push(request)
+				return { id: Number.parseInt(request.params.id), title: 'Fetched' }
+			},
+			{ method: 'GET' }
+		)
+		const putEndpoint = service.addJSONEndpoint(
+			/^\/api\/([a-z]+)\/([0-9]+)$/,
+			(url, fetchOptions, request) => {
+				requests.push(request)
+				return Object.assign({ id: Number.parseInt(request.params.id) }, request.body)
+			},
+			{ method: 'PUT', paramNames: ['type', 'id'], latency: 20 }
+		)
+		service.attachToDataObject()
+		const note = new NoteModel({ id: 7 })
+
+		let fetchedBeforeLatency = false
+		return note
+			.fetch()
+			.then(() => {
+				test.assertEqual(requests[0].method, 'GET')
+				test.assertEqual(requests[0].params.id, '7')
+				test.assertEqual(note.get('title'), 'Fetched')
+				note.set('title', 'Saved')
+				const startTime = Date.now()
+				return note.save().then(() => {
+					fetchedBeforeLatency = Date.now() - startTime < 15
+				})
+			})
+			.then(() => {
+				test.assertEqual(fetchedBeforeLatency, false)
+				test.assertEqual(requests[1].method, 'PUT')
+				test.assertEqual(requests[1].params.type, 'notes')
+				test.assertEqual(requests[1].captures[1], '7')
+				test.assertEqual(requests[1].body.title, 'Saved')
+				test.assertEqual(note.get('title'), 'Saved')
+				putEndpoint.failNext(1, { status: 503, body: { message: 'Down for maintenance' } })
+				putEndpoint.failNext(1, { network: true })
+				return note.save().then(
+					() => {
+						throw new Error('Should have failed with a 503')
+					},
+					err => {
+						test.assertInstanceOf(err, DataErrors.HttpError)
+						test.assertEqual(err.status, 503)
+						test.assertEqual(err.body.message, 'Down for maintenance')
+					}
+				)
+			})
+			.then(() => {
+				return note.save().then(
+					() => {
+						throw new Error('Should have failed with a network error')
+					},
+					err => {
+						test.assertInstanceOf(err, DataErrors.NetworkError)
+						test.assertEqual(requests.length, 2)
+					}
+				)
+			})
+			.then(() => {
+				const flakyService = new MockService({ failureRate: 0.5, random: () => 0.25 })
+				flakyService.addJSONEndpoint(/^\/api\/notes\/[0-9]+$/, () => ({ id: 7 }))
+				flakyService.attachToDataObject()
+				return note.fetch().then(
+					() => {
+						throw new Error('Should have failed with a 500')
+					},
+					err => {
+						test.assertEqual(err.status, 500)
+					}
+				)
+			})
+	})
+)
+
+tests.push(
+	new Test('MockService resources', test => {
+		class NoteModel extends DataModel {
+			get url() {
+				return '/api/notes/' + this.get('id')
+			}
+		}
+		class NotesCollection extends DataCollection {
+			get url() {
+				return '/api/notes/'
+			}
+		}
+		const service = new MockService()
+		const resource = service.addResource('/api/notes', [
+			{ id: 1, title: 'First', done: true },
+			{ id: 2, title: 'Second', done: false },
+			{ id: 3, title: 'Third', done: false }
+		])
+		service.attachToDataObject()
+		const notes = new NotesCollection([], { dataObject: NoteModel })
+		const pagedNotes = new NotesCollection([], { dataObject: NoteModel, pagination: 'page', pageSize: 2 })
+
+		return notes
+			.fetch()
+			.then(() => {
+				test.assertEqual(notes.length, 3)
+				test.assertEqual(notes.at(1).get('title'), 'Second')
+				return notes.create({ title: 'Fourth', done: false })
+			})
+			.then(note => {
+				test.assertEqual(note.get('id'), 4)
+				test.assertEqual(resource.records.length, 4)
+				note.set('title', 'Fourth, edited')
+				return note.save()
+			})
+			.then(() => {
+				test.assertEqual(resource.find(4).title, 'Fourth, edited')
+				const note = notes.at(0)
+				note.set('done', false)
+				return note.save({ patch: true })
+			})
+			.then(() => {
+				test.assertEqual(resource.find(1).done, false)
+				test.assertEqual(resource.find(1).title, 'First')
+				return notes.at(1).delete()
+			})
+			.then(() => {
+				test.assertNull(resource.find(2))
+				return new NoteModel({ id: 2 }).fetch().then(
+					() => {
+						throw new Error('Should have failed with a 404')
+					},
+					err => {
+						test.assertEqual(err.status, 404)
+					}
+				)
+			})
+			.then(() => {
+				return pagedNotes.fetch()
+			})
+			.then(() => {
+				test.assertEqual(pagedNotes.length, 2)
+				test.assertEqual(pagedNotes.totalCount, 3)
+				test.assertEqual(pagedNotes.hasMore, true)
+				return pagedNotes.fetchNextPage()
+			})
+			.then(() => {
+				test.assertEqual(pagedNotes.length, 3)
+				test.assertEqual(pagedNotes.hasMore, false)
+				return service.handle('/api/notes/?done=false&title=Third')
+			})
+			.then(response => response.json())
+			.then(data => {
+				test.assertEqual(data.length, 1)
+				test.assertEqual(data[0].id, 3)
+			})
+	})
+)
+
+tests.push(
+	new Test('MockService attachment and request log', test => {
+		class NoteModel extends DataModel {
+			get url() {
+				return '/api/notes/' + this.get('id')
+			}
+		}
+		class DraftModel extends NoteModel {
+			get url() {
+				return '/api/drafts/' + this.get('id')
+			}
+		}
+		class OtherModel extends DataModel {
+			get url() {
+				return '/api/other/' + this.get('id')
+			}
+		}
+		const originalFetch = DataObject.prototype._innerFetch
+		const service = new MockService({ fallThrough: false })
+		service.addResource('/api/notes', [{ id: 1, title: 'First' }])
+		service.attachToDataObject(NoteModel)
+		test.assertEqual(DataObject.prototype._innerFetch, originalFetch)
+		test.assertNotEqual(NoteModel.prototype._innerFetch, originalFetch)
+
+		const stackedService = new MockService()
+		const other = new OtherModel({ id: 1 })
+		const otherService = new MockService()
+		otherService.addJSONEndpoint(/^\/api\/other\/1$/, () => ({ id: 1, title: 'Other' }))
+		otherService.attachToDataObject(other)
+
+		const note = new NoteModel({ id: 1 })
+		return note
+			.fetch()
+			.then(() => {
+				note.set('title', 'Saved')
+				return note.save()
+			})
+			.then(() => {
+				test.assertEqual(service.requests.length, 2)
+				test.assertEqual(service.expectRequest('GET', '/api/notes/1').endpoint.options.method, 'GET')
+				service.expectRequest('put', /^\/api\/notes\/[0-9]+$/, { id: 1, title: 'Saved' })
+				let error = null
+				try {
+					service.expectRequest('DELETE', '/api/notes/1')
+				} catch (e) {
+					error = e
+				}
+				test.assertInstanceOf(error, Error)
+				return other.fetch()
+			})
+			.then(() => {
+				test.assertEqual(other.get('title'), 'Other')
+				test.assertEqual(service.requests.length, 2) // other is not a NoteModel
+				otherService.expectRequest('GET', '/api/other/1')
+				return new NoteModel({ id: 2 }).fetch().then(
+					() => {
+						throw new Error('Should have failed with a 404')
+					},
+					err => {
+						test.assertEqual(err.status, 404)
+					}
+				)
+			})
+			.then(() => {
+				service.clearRequests()
+				// A service that is attached to a class and its subclass falls through to the next service once
+				stackedService.attachToDataObject(NoteModel)
+				stackedService.attachToDataObject(DraftModel)
+				return new DraftModel({ id: 1 }).fetch().then(
+					() => {
+						throw new Error('Should have failed without falling through to fetch')
+					},
+					err => {
+						test.assertInstanceOf(err, DataErrors.NetworkError)
+						test.assertNull(service.expectRequest('GET', '/api/drafts/1').endpoint)
+						test.assertEqual(stackedService.findRequests('GET', '/api/drafts/1').length, 1)
+						test.assertEqual(service.findRequests('GET', '/api/drafts/1').length, 1)
+					}
+				)
+			})
+			.then(() => {
+				stackedService.detach()
+				service.detach()
+				otherService.detach()
+				test.assertEqual(NoteModel.prototype.hasOwnProperty('_innerFetch'), false)
+				test.assertEqual(other.hasOwnProperty('_innerFetch'), false)
+				test.assertEqual(note._innerFetch, originalFetch)
+			})
+	})
+)
+
+tests.push(
+	new Test('MockService fixtures', test => {
+		class NoteModel extends DataModel {
+			get url() {
+				return '/api/notes/' + this.get('id')
+			}
+		}
+		const har = {
+			log: {
+				entries: [
+					{
+						request: { method: 'GET', url: 'https://example.com/api/notes/1', headers: [] },
+						response: {
+							status: 200,
+							statusText: 'OK',
+							headers: [{ name: 'Content-Type', value: 'application/json' }, { name: 'Content-Length', value: '99' }],
+							content: { mimeType: 'application/json', text: '{"id":1,"title":"Recorded"}' }
+						}
+					},
+					{
+						request: {
+							method: 'PUT',
+							url: 'https://example.com/api/notes/1',
+							headers: [],
+							postData: { mimeType: 'application/json', text: '{"id":1,"title":"Saved"}' }
+						},
+						response: {
+							status: 200,
+							statusText: 'OK',
+							headers: [],
+							content: { mimeType: 'application/json', text: '{"id":1,"title":"Saved"}' }
+						}
+					}
+				]
+			}
+		}
+		const service = new MockService({ fallThrough: false })
+		test.assertEqual(service.loadFixtures(har, { mode: 'lenient', matchBody: true }).length, 2)
+		service.loadFixtures([
+			{ method: 'GET', url: '/api/search?b=2&a=1', response: { body: [{ id: 1 }] } },
+			{ method: 'GET', url: '/api/search?b=2&a=1', response: { body: [{ id: 2 }] } }
+		])
+		service.attachToDataObject(NoteModel)
+		const note = new NoteModel({ id: 1 })
+
+		return note
+			.fetch()
+			.then(() => {
+				test.assertEqual(note.get('title'), 'Recorded')
+				note.set('title', 'Unrecorded')
+				return note.save().catch(err => err)
+			})
+			.then(err => {
+				test.assertInstanceOf(err, DataErrors.NetworkError)
+				note.set('title', 'Saved')
+				return note.save()
+			})
+			.then(() => {
+				test.assertEqual(note.get('title'), 'Saved')
+				return service.handle('/api/search?a=1&b=2')
+			})
+			.then(response => {
+				test.assertEqual(response, null) // strict mode matches the url exactly
+				return service.handle('/api/search?b=2&a=1').then(response => response.json())
+			})
+			.then(results => {
+				test.assertEqual(results[0].id, 1)
+				return service.handle('/api/search?b=2&a=1').then(response => response.json())
+			})
+			.then(results => {
+				test.assertEqual(results[0].id, 2)
+				return service.handle('/api/search?b=2&a=1').then(response => response.json())
+			})
+			.then(results => {
+				test.assertEqual(results[0].id, 2) // the last response repeats
+				const stubs = service.unmatchedFixtures()
+				test.assertEqual(stubs.length, 2)
+				test.assertEqual(stubs[0].method, 'PUT')
+				test.assertEqual(stubs[0].body.title, 'Unrecorded')
+				test.assertEqual(stubs[1].url, '/api/search?a=1&b=2')
+				service.detach()
+			})
+	})
+)
+
+tests.push(
+	new Test('MockService window.fetch', test => {
+		const originalFetch = window.fetch
+		const service = new MockService({ fallThrough: false })
+		service.addJSONEndpoint(/^\/static\/styles\/kss\.json$/, () => ({ rules: [] }))
+		service.addEndpoint(
+			/^\/api\/echo$/,
+			(url, fetchOptions, request) => new Response(request.body.message, { status: 200 }),
+			{ method: 'POST' }
+		)
+		service.attachToWindowFetch()
+		test.assertNotEqual(window.fetch, originalFetch)
+
+		return fetch('/static/styles/kss.json')
+			.then(response => response.json())
+			.then(data => {
+				test.assertEqual(data.rules.length, 0)
+				return fetch(new Request(location.origin + '/api/echo', { method: 'POST', body: '{"message":"hi"}' }))
+			})
+			.then(response => response.text())
+			.then(text => {
+				test.assertEqual(text, 'hi')
+				service.expectRequest('POST', '/api/echo', { message: 'hi' })
+				return fetch('/static/fonts/unmocked.woff').then(
+					() => {
+						throw new Error('Should have failed without falling through')
+					},
+					err => {
+						test.assertInstanceOf(err, TypeError)
+					}
+				)
+			})
+			.then(() => {
+				service.detach()
+				test.assertEqual(window.fetch, originalFetch)
+			})
+	})
+)
+
 tests.push(
 	new Test('DataCollection', test => {
 		let col1 = new DataCollection()
@@ -440,6 +2041,126 @@ tests.push(
 	})
 )
 
+tests.push(
+	new Test('Component input bindings', test => {
+		class FormComponent extends Component {
+			constructor(dataObject, options) {
+				super(dataObject, options)
+				this.titleDOM = dom.input({ type: 'text' }).appendTo(this.flatDOM)
+				this.bindInput('title', this.titleDOM, { textInput: this })
+				this.doneDOM = dom.input({ type: 'checkbox' }).appendTo(this.flatDOM)
+				this.bindInput('done', this.doneDOM)
+				this.lowDOM = dom.input({ type: 'radio', name: 'priority', value: 'low' }).appendTo(this.flatDOM)
+				this.highDOM = dom.input({ type: 'radio', name: 'priority', value: 'high' }).appendTo(this.flatDOM)
+				this.bindInput('priority', this.lowDOM)
+				this.bindInput('priority', this.highDOM)
+				this.tagsDOM = dom
+					.select({ multiple: true }, dom.option('a', { value: 'a' }), dom.option('b', { value: 'b' }))
+					.appendTo(this.flatDOM)
+				this.bindInput('tags', this.tagsDOM)
+				this.countDOM = dom.input({ type: 'number' }).appendTo(this.flatDOM)
+				this.bindInput('count', this.countDOM, { debounce: 20 })
+			}
+		}
+		const model = new DataModel({ title: 'Note', done: true, priority: 'high', tags: ['b'], count: 2 })
+		const component = new FormComponent(model)
+		const sendEvent = (element, eventName) => element.dispatchEvent(new Event(eventName))
+
+		test.assertEqual(component.titleDOM.value, 'Note')
+		test.assertEqual(component.doneDOM.checked, true)
+		test.assertEqual(component.lowDOM.checked, false)
+		test.assertEqual(component.highDOM.checked, true)
+		test.assertEqual(component.tagsDOM.options[1].selected, true)
+		test.assertEqual(component.countDOM.value, '2')
+
+		component.titleDOM.value = 'Edited'
+		sendEvent(component.titleDOM, 'input')
+		test.assertEqual(model.get('title'), 'Edited')
+		model.set('title', 'From the model')
+		test.assertEqual(component.titleDOM.value, 'From the model')
+
+		component.doneDOM.checked = false
+		sendEvent(component.doneDOM, 'change')
+		test.assertEqual(model.get('done'), false)
+
+		component.lowDOM.checked = true
+		sendEvent(component.lowDOM, 'change')
+		test.assertEqual(model.get('priority'), 'low')
+		model.set('priority', 'high')
+		test.assertEqual(component.highDOM.checked, true)
+
+		component.tagsDOM.options[0].selected = true
+		sendEvent(component.tagsDOM, 'change')
+		test.assertEqual(model.get('tags').join(','), 'a,b')
+
+		// Text input from immersive mode
+		component.trigger(Component.TextInputEvent, ['!', '?', 'Backspace'])
+		test.assertEqual(model.get('title'), 'From the model!')
+		test.assertEqual(component.titleDOM.value, 'From the model!')
+
+		component.countDOM.value = '5'
+		sendEvent(component.countDOM, 'input')
+		test.assertEqual(model.get('count'), 2) // debounced
+		return new Promise(resolve => setTimeout(resolve, 40)).then(() => {
+			test.assertEqual(model.get('count'), 5)
+			component.cleanup()
+			model.set('title', 'After cleanup')
+			test.assertEqual(component.titleDOM.value, 'From the model!')
+		})
+	})
+)
+
+tests.push(
+	new Test('Component collection bindings', test => {
+		class NoteComponent extends Component {
+			constructor(dataObject, options, inheritedOptions) {
+				super(dataObject, options, inheritedOptions)
+				this.bindText('title', this.flatDOM)
+			}
+		}
+		class NotesComponent extends Component {
+			constructor(dataObject, options, inheritedOptions) {
+				super(dataObject, options, inheritedOptions)
+				this.emptyComponent = new Component()
+				this.bindCollection(this.dataObject, NoteComponent, { emptyComponent: this.emptyComponent })
+			}
+		}
+		const titlesOf = element => Array.from(element.children).map(child => child.innerText)
+		const notes = new DataCollection([{ id: 1, title: 'c' }, { id: 2, title: 'a' }, { id: 3, title: 'b' }])
+		const notesComponent = new NotesComponent(notes)
+		test.assertEqual(titlesOf(notesComponent.flatDOM).join(','), 'c,a,b')
+		test.assertEqual(notesComponent.immersiveSOM.children.length, 3)
+		const firstChild = notesComponent.flatDOM.children[0].component
+
+		notes.sortByAttribute('title')
+		test.assertEqual(titlesOf(notesComponent.flatDOM).join(','), 'a,b,c')
+		test.assertEqual(titlesOf(notesComponent.portalDOM).join(','), 'a,b,c')
+		test.assertEqual(notesComponent.portalSOM.children[2], firstChild.portalSOM)
+		test.assertEqual(notesComponent.flatDOM.children[2].component, firstChild) // reordered, not recreated
+
+		notes.add(new DataModel({ id: 4, title: 'd' }), 1)
+		test.assertEqual(titlesOf(notesComponent.flatDOM).join(','), 'a,d,b,c')
+		test.assertEqual(notesComponent.immersiveSOM.children[1].component.dataObject.get('id'), 4)
+
+		notes.remove(notes.at(0))
+		test.assertEqual(titlesOf(notesComponent.flatDOM).join(','), 'd,b,c')
+
+		notes.reset([])
+		test.assertEqual(notesComponent.flatDOM.children.length, 1)
+		test.assertEqual(notesComponent.flatDOM.children[0], notesComponent.emptyComponent.flatDOM)
+		test.assertEqual(firstChild.cleanedUp, true)
+
+		notes.reset([{ id: 5, title: 'e' }])
+		test.assertEqual(titlesOf(notesComponent.flatDOM).join(','), 'e')
+		notesComponent.cleanup()
+
+		// Children inherit the display mode options of their parent
+		const flatNotesComponent = new NotesComponent(notes, {}, { usesImmersive: false })
+		test.assertEqual(flatNotesComponent.flatDOM.children[0].component.usesImmersive, false)
+		flatNotesComponent.cleanup()
+	})
+)
+
 tests.push(
 	new Test(
 		'Router',
@@ -453,12 +2174,15 @@ tests.push(
 			router.addRoute(/^tos$/, 'terms-of-service')
 			router.addRoute(/^blog\/([0-9]+)$/, 'blog', { hello: 'nurse' })
 			router.addRoute(/^blog\/([0-9]+)\/post\/([0-9a-zA-Z]+)$/, 'post')
-			test.assertEqual(receivedEvents.length, 0)
+			test.assertEqual(receivedEvents.length, 4)
+			test.assertEqual(receivedEvents[0].eventName, Router.RouteAddedEvent)
 
+			receivedEvents.length = 0
 			router.start()
-			test.assertEqual(receivedEvents.length, 1)
-			test.assertEqual(receivedEvents[0].eventName, 'splash')
-			test.assertEqual(receivedEvents[0].params[0].foo, 'bar')
+			test.assertEqual(receivedEvents.length, 2)
+			test.assertEqual(receivedEvents[0].eventName, Router.StartedRoutingEvent)
+			test.assertEqual(receivedEvents[1].eventName, 'splash')
+			test.assertEqual(receivedEvents[1].params[0].foo, 'bar')
 
 			receivedEvents.length = 0
 			router._handleNewPath('bogus')
@@ -491,4 +2215,413 @@ tests.push(
 	)
 )
 
+tests.push(
+	new Test(
+		'Router path templates',
+		test => {
+			let router = new Router({ mode: Router.HISTORY_MODE, root: test.root })
+			let receivedEvents = []
+			router.addListener((eventName, target, ...params) => {
+				receivedEvents.push({ eventName: eventName, target: target, params: params })
+			})
+			router.addRoute('/', 'splash')
+			router.addRoute('/blog/:blogId', 'blog', { hello: 'nurse' })
+			router.addRoute('/blog/:blogId/app/:appId', 'blog-app')
+			router.addRoute(/^tos$/, 'terms-of-service')
+
+			receivedEvents.length = 0
+			router._handleNewPath('')
+			test.assertEqual(receivedEvents.length, 1)
+			test.assertEqual(receivedEvents[0].eventName, 'splash')
+
+			receivedEvents.length = 0
+			router._handleNewPath('blog/23')
+			test.assertEqual(receivedEvents.length, 1)
+			test.assertEqual(receivedEvents[0].eventName, 'blog')
+			test.assertEqual(receivedEvents[0].target, 'blog/23')
+			test.assertEqual(receivedEvents[0].params[0].blogId, '23')
+			test.assertEqual(receivedEvents[0].params[1].hello, 'nurse')
+
+			receivedEvents.length = 0
+			router._handleNewPath('blog/23/app/abc%20123')
+			test.assertEqual(receivedEvents[0].eventName, 'blog-app')
+			test.assertEqual(receivedEvents[0].params[0].blogId, '23')
+			test.assertEqual(receivedEvents[0].params[0].appId, 'abc 123')
+
+			receivedEvents.length = 0
+			router._handleNewPath('blog/23/app')
+			test.assertEqual(receivedEvents[0].eventName, Router.UnknownRouteEvent)
+
+			// Malformed parameters match no route instead of throwing
+			receivedEvents.length = 0
+			router._handleNewPath('blog/%E0%A4%A')
+			test.assertEqual(receivedEvents[0].eventName, Router.UnknownRouteEvent)
+
+			// Regex routes work side by side with templates
+			receivedEvents.length = 0
+			router._handleNewPath('tos')
+			test.assertEqual(receivedEvents[0].eventName, 'terms-of-service')
+
+			// navigate pushes history entries and routes
+			receivedEvents.length = 0
+			const historyLength = window.history.length
+			router.navigate('/blog/42')
+			test.assertEqual(window.history.length, historyLength + 1)
+			test.assertEqual(document.location.pathname, test.root + 'blog/42')
+			test.assertEqual(receivedEvents[0].eventName, 'blog')
+			test.assertEqual(receivedEvents[0].params[0].blogId, '42')
+
+			receivedEvents.length = 0
+			router.navigate('/blog/43/app/xyz', { replace: true })
+			test.assertEqual(window.history.length, historyLength + 1)
+			test.assertEqual(receivedEvents[0].eventName, 'blog-app')
+
+			// Clicks on anchors inside intercepted containers are routed
+			const container = dom.div().appendTo(document.body)
+			const anchor = dom.a({ href: test.root + 'blog/44' }).appendTo(container)
+			router.interceptLinks(container)
+			receivedEvents.length = 0
+			anchor.click()
+			test.assertEqual(receivedEvents.length, 1)
+			test.assertEqual(receivedEvents[0].params[0].blogId, '44')
+			document.body.removeChild(container)
+
+			router.cleanup()
+		},
+		test => {
+			test.originalPath = document.location.pathname
+			test.root = test.originalPath.slice(0, test.originalPath.lastIndexOf('/') + 1)
+		},
+		test => {
+			window.history.replaceState(null, '', test.originalPath)
+		}
+	)
+)
+
+tests.push(
+	new Test(
+		'Router guards, resolvers, and nested routes',
+		test => {
+			let router = new Router({ mode: Router.HISTORY_MODE, root: test.root })
+			let receivedEvents = []
+			router.addListener((eventName, target, ...params) => {
+				receivedEvents.push({ eventName: eventName, target: target, params: params })
+			})
+			let allowLeavingDraft = false
+			router.addRoute('/login', 'login')
+			router.addRoute('/draft', 'draft').beforeLeave((from, to) => allowLeavingDraft)
+			router.addRoute('/admin', 'admin').beforeEnter((to, from) => '/login')
+			router.addRoute('/private', 'private').beforeEnter((to, from) => false)
+			router.addRoute('/rejecting', 'rejecting').beforeEnter((to, from) => Promise.reject(new Error('Rejected')))
+			router.addRoute('/throwing', 'throwing').beforeEnter((to, from) => {
+				throw new Error('Thrown')
+			})
+			const blogRoute = router.addRoute('/blog/:blogId', 'blog')
+			blogRoute.addChild('/', 'blog-index')
+			blogRoute.addChild('/post/:postId', 'blog-post')
+			router
+				.addRoute('/profile/:profileId', 'profile')
+				.resolve('profile', params => new DataModel({ id: params.profileId }))
+				.resolve('greeting', params => Promise.resolve('hello ' + params.profileId))
+
+			// Nested routes fire the parent event and then the child event
+			receivedEvents.length = 0
+			router._handleNewPath('blog/23/post/abc')
+			test.assertEqual(receivedEvents.length, 2)
+			test.assertEqual(receivedEvents[0].eventName, 'blog')
+			test.assertEqual(receivedEvents[0].target, 'blog/23')
+			test.assertEqual(receivedEvents[0].params[0].blogId, '23')
+			test.assertEqual(receivedEvents[1].eventName, 'blog-post')
+			test.assertEqual(receivedEvents[1].target, 'blog/23/post/abc')
+			test.assertEqual(receivedEvents[1].params[0].blogId, '23')
+			test.assertEqual(receivedEvents[1].params[0].postId, 'abc')
+			test.assertEqual(router.currentMatch.route.eventName, 'blog-post')
+
+			receivedEvents.length = 0
+			router._handleNewPath('blog/23')
+			test.assertEqual(receivedEvents.length, 2)
+			test.assertEqual(receivedEvents[1].eventName, 'blog-index')
+
+			// Enter guards can cancel or redirect
+			receivedEvents.length = 0
+			router._handleNewPath('private')
+			test.assertEqual(receivedEvents.length, 1)
+			test.assertEqual(receivedEvents[0].eventName, Router.NavigationCancelledEvent)
+			test.assertEqual(router.currentPath, 'blog/23')
+
+			receivedEvents.length = 0
+			router._handleNewPath('admin')
+			test.assertEqual(receivedEvents[0].eventName, Router.NavigationRedirectedEvent)
+			test.assertEqual(receivedEvents[0].params[0], '/login')
+			test.assertEqual(receivedEvents[1].eventName, 'login')
+			test.assertEqual(document.location.pathname, test.root + 'login')
+
+			// Guards that throw fail the navigation
+			receivedEvents.length = 0
+			router._handleNewPath('throwing')
+			test.assertEqual(receivedEvents.length, 1)
+			test.assertEqual(receivedEvents[0].eventName, Router.NavigationFailedEvent)
+			test.assertEqual(receivedEvents[0].params[0].message, 'Thrown')
+			test.assertEqual(router.currentPath, 'login')
+
+			// Leave guards can keep the router on the current route
+			router._handleNewPath('draft')
+			receivedEvents.length = 0
+			router._handleNewPath('login')
+			test.assertEqual(receivedEvents.length, 1)
+			test.assertEqual(receivedEvents[0].eventName, Router.NavigationCancelledEvent)
+			test.assertEqual(router.currentPath, 'draft')
+			allowLeavingDraft = true
+			receivedEvents.length = 0
+			router._handleNewPath('login')
+			test.assertEqual(receivedEvents[0].eventName, 'login')
+
+			// Guards that reject fail the navigation
+			receivedEvents.length = 0
+			const rejectedNavigation = new Promise(resolve => {
+				router.addListener(
+					(eventName, path, err) => {
+						resolve(err)
+					},
+					Router.NavigationFailedEvent,
+					true
+				)
+			})
+			router._handleNewPath('rejecting')
+			return rejectedNavigation.then(err => {
+				test.assertEqual(err.message, 'Rejected')
+				test.assertEqual(router.currentPath, 'login')
+
+				// Resolvers fetch new DataObjects before the route event fires
+				const originalFetch = DataObject.prototype.fetch
+				DataObject.prototype.fetch = function() {
+					this.set('fetched', true)
+					this._new = false
+					return Promise.resolve(this)
+				}
+				receivedEvents.length = 0
+				router._handleNewPath('profile/12')
+				test.assertEqual(receivedEvents.length, 0)
+				return new Promise((resolve, reject) => {
+					setTimeout(() => {
+						DataObject.prototype.fetch = originalFetch
+						test.assertEqual(receivedEvents.length, 1)
+						test.assertEqual(receivedEvents[0].eventName, 'profile')
+						const resolved = receivedEvents[0].params[1]
+						test.assertEqual(resolved.profile.get('id'), '12')
+						test.assertEqual(resolved.profile.get('fetched'), true)
+						test.assertEqual(resolved.greeting, 'hello 12')
+						router.cleanup()
+						resolve()
+					}, 10)
+				})
+			})
+		},
+		test => {
+			test.originalPath = document.location.pathname
+			test.root = test.originalPath.slice(0, test.originalPath.lastIndexOf('/') + 1)
+		},
+		test => {
+			window.history.replaceState(null, '', test.originalPath)
+		}
+	)
+)
+
+tests.push(
+	new Test(
+		'Router display mode query',
+		test => {
+			let router = new Router({ mode: Router.HISTORY_MODE, root: test.root })
+			let receivedEvents = []
+			router.addListener((eventName, target, ...params) => {
+				receivedEvents.push({ eventName: eventName, target: target, params: params })
+			})
+			router.addRoute('/blog/:blogId', 'blog')
+			test.assertNull(router.requestedDisplayMode)
+
+			// The query is not used to match routes
+			router.navigate('/blog/1?display-mode=portal')
+			test.assertEqual(receivedEvents[receivedEvents.length - 1].eventName, 'blog')
+			test.assertEqual(receivedEvents[receivedEvents.length - 1].target, 'blog/1')
+			test.assertEqual(router.requestedDisplayMode, 'portal')
+			test.assertEqual(router.query.get('display-mode'), 'portal')
+
+			// navigate carries the display mode along
+			router.navigate('/blog/2')
+			test.assertEqual(document.location.pathname, test.root + 'blog/2')
+			test.assertEqual(document.location.search, '?display-mode=portal')
+
+			// writeDisplayMode changes the query without routing
+			receivedEvents.length = 0
+			router.writeDisplayMode('immersive')
+			test.assertEqual(receivedEvents.length, 0)
+			test.assertEqual(document.location.search, '?display-mode=immersive')
+			test.assertEqual(router.requestedDisplayMode, 'immersive')
+			router.writeDisplayMode(null)
+			test.assertEqual(document.location.search, '')
+			test.assertNull(router.requestedDisplayMode)
+
+			router.cleanup()
+		},
+		test => {
+			test.originalPath = document.location.pathname
+			test.root = test.originalPath.slice(0, test.originalPath.lastIndexOf('/') + 1)
+		},
+		test => {
+			window.history.replaceState(null, '', test.originalPath)
+		}
+	)
+)
+
+tests.push(
+	new Test('RouteOutlet', test => {
+		let router = new Router()
+		class BlogComponent extends Component {}
+		class AboutComponent extends Component {}
+		let outlet = new RouteOutlet(null, { router: router })
+		let receivedEvents = []
+		outlet.addListener((eventName, target, ...params) => {
+			receivedEvents.push({ eventName: eventName, target: target, params: params })
+		}, RouteOutlet.ChildChangedEvent)
+		router.addRoute('/blog/:blogId', 'blog')
+		router.addRoute('/about', 'about')
+		outlet.mapRoute('blog', BlogComponent, (path, params) => new DataModel({ id: params.blogId }))
+		outlet.mapRoute('about', AboutComponent)
+		test.assertNull(outlet.childComponent)
+
+		router._handleNewPath('blog/23')
+		const blogComponent = outlet.childComponent
+		test.assertInstanceOf(blogComponent, BlogComponent)
+		test.assertEqual(blogComponent.dataObject.get('id'), '23')
+		test.assertEqual(outlet.flatDOM.children.length, 1)
+		test.assertEqual(outlet.flatDOM.children[0], blogComponent.flatDOM)
+		test.assertEqual(outlet.portalDOM.children[0], blogComponent.portalDOM)
+		test.assertEqual(blogComponent.portalSOM.parent, outlet.portalSOM)
+		test.assertEqual(blogComponent.immersiveSOM.parent, outlet.immersiveSOM)
+		test.assertEqual(receivedEvents.length, 1)
+		test.assertEqual(receivedEvents[0].params[0], blogComponent)
+
+		// The same route and path keeps the current child
+		router._handleNewPath('blog/23')
+		test.assertEqual(outlet.childComponent, blogComponent)
+		test.assertEqual(receivedEvents.length, 1)
+
+		router._handleNewPath('about')
+		test.assertInstanceOf(outlet.childComponent, AboutComponent)
+		test.assertNull(outlet.childComponent.dataObject)
+		test.assertEqual(blogComponent.cleanedUp, true)
+		test.assertEqual(outlet.flatDOM.children.length, 1)
+		test.assertNull(blogComponent.portalSOM.parent)
+		test.assertNull(blogComponent.immersiveSOM.parent)
+		test.assertEqual(receivedEvents[1].params[1], blogComponent)
+
+		// Unknown routes clear the outlet
+		const aboutComponent = outlet.childComponent
+		router._handleNewPath('bogus')
+		test.assertNull(outlet.childComponent)
+		test.assertEqual(aboutComponent.cleanedUp, true)
+		test.assertEqual(outlet.flatDOM.children.length, 0)
+
+		outlet.cleanup()
+		router.cleanup()
+	})
+)
+
+tests.push(
+	new Test(
+		'Router state keepers',
+		test => {
+			let router = new Router({ mode: Router.HISTORY_MODE, root: test.root })
+			let scrollOffset = 0
+			let restoredOffsets = []
+			router.addStateKeeper(
+				'offset',
+				() => scrollOffset,
+				offset => {
+					restoredOffsets.push(offset)
+					scrollOffset = offset
+				}
+			)
+			router.addRoute('/one', 'one')
+			let cancelTwo = false
+			router.addRoute('/two', 'two').beforeEnter(() => cancelTwo === false)
+
+			router.navigate('/one')
+			scrollOffset = 100
+			router.navigate('/two')
+			scrollOffset = 200
+			test.assertEqual(restoredOffsets.length, 0) // navigate does not restore state
+
+			return new Promise((resolve, reject) => {
+				router.addListener(
+					(eventName, path, state) => {
+						test.assertEqual(path, 'one')
+						test.assertEqual(state.offset, 100)
+						test.assertEqual(restoredOffsets.length, 1)
+						test.assertEqual(scrollOffset, 100)
+						resolve()
+					},
+					Router.StateRestoredEvent,
+					true
+				)
+				window.history.back()
+			})
+				.then(() => {
+					// Cancelling a forward navigation pushes the current path and keeps the entry that was cancelled
+					return new Promise((resolve, reject) => {
+						router.addListener(
+							() => {
+								test.assertEqual(router.currentMatch.route.eventName, 'one')
+								resolve()
+							},
+							Router.NavigationCancelledEvent,
+							true
+						)
+						cancelTwo = true
+						window.history.forward()
+					})
+				})
+				.then(() => {
+					return new Promise((resolve, reject) => {
+						router.addListener(
+							(eventName, path, state) => {
+								test.assertEqual(path, 'two')
+								test.assertEqual(state.offset, 200)
+								test.assertEqual(scrollOffset, 200)
+								resolve()
+							},
+							Router.StateRestoredEvent,
+							true
+						)
+						cancelTwo = false
+						window.history.back()
+					})
+				})
+				.then(() => {
+					return new Promise((resolve, reject) => {
+						// State saved when the page is hidden is restored by the Router of the reloaded page
+						scrollOffset = 150
+						window.dispatchEvent(new Event('pagehide'))
+						router.cleanup()
+						router = new Router({ mode: Router.HISTORY_MODE, root: test.root })
+						router.addStateKeeper('offset', () => scrollOffset, offset => restoredOffsets.push(offset))
+						router.addRoute('/two', 'two')
+						scrollOffset = 0
+						router.start()
+						test.assertEqual(restoredOffsets[restoredOffsets.length - 1], 150)
+						router.cleanup()
+						resolve()
+					})
+				})
+		},
+		test => {
+			test.originalPath = document.location.pathname
+			test.root = test.originalPath.slice(0, test.originalPath.lastIndexOf('/') + 1)
+		},
+		test => {
+			window.history.replaceState(null, '', test.originalPath)
+		}
+	)
+)
+
 export { tests, Runner, TestResultsRenderer as Renderer }